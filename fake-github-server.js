@@ -0,0 +1,1023 @@
+#!/usr/bin/env node
+
+/**
+ * Fake GitHub API server for HEAD-CRAB
+ * An in-memory stand-in for api.github.com covering the endpoints the project
+ * uses, with rate-limit and failure injection and record/replay fixtures, so
+ * the client, the cache and directory sync can be exercised offline
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DOCS_URL = 'https://docs.github.com/rest';
+
+// Response headers worth keeping in fixtures
+const FIXTURE_HEADERS = ['content-type', 'etag', 'last-modified', 'link', 'retry-after'];
+
+/**
+ * SHA-1 of a git object, as git itself computes it
+ */
+function gitHash(type, content) {
+    return crypto.createHash('sha1')
+        .update(`${type} ${content.length}\0`)
+        .update(content)
+        .digest('hex');
+}
+
+/**
+ * One repository: git objects, branches and Actions state
+ */
+class FakeRepo {
+    constructor(owner, name, options = {}) {
+        this.owner = owner;
+        this.name = name;
+        this.fullName = `${owner}/${name}`;
+        this.defaultBranch = options.defaultBranch || 'main';
+        this.private = Boolean(options.private);
+        this.createdAt = new Date().toISOString();
+
+        this.blobs = new Map();
+        this.trees = new Map();
+        this.commits = new Map();
+        this.refs = new Map(); // 'heads/main' -> commit sha
+
+        this.workflowIds = new Map(); // workflow file path -> id
+        this.runs = [];
+    }
+
+    isEmpty() {
+        return this.refs.size === 0;
+    }
+
+    putBlob(content) {
+        const sha = gitHash('blob', content);
+        this.blobs.set(sha, content);
+        return sha;
+    }
+
+    /**
+     * Store the trees for a flat Map of path -> { mode, sha }, resolving with the root tree sha
+     */
+    writeTree(flat, prefix = '') {
+        const entries = new Map();
+        for (const [filePath, file] of flat) {
+            if (!filePath.startsWith(prefix)) continue;
+            const [name, ...rest] = filePath.slice(prefix.length).split('/');
+            if (rest.length > 0) {
+                entries.set(name, { path: name, mode: '040000', type: 'tree', sha: null });
+            } else {
+                entries.set(name, { path: name, mode: file.mode, type: 'blob', sha: file.sha });
+            }
+        }
+
+        for (const entry of entries.values()) {
+            if (entry.type === 'tree') entry.sha = this.writeTree(flat, `${prefix}${entry.path}/`);
+        }
+
+        // Git orders tree entries by name, with directories compared as "name/"
+        const sorted = [...entries.values()].sort((a, b) => {
+            const keyA = a.type === 'tree' ? `${a.path}/` : a.path;
+            const keyB = b.type === 'tree' ? `${b.path}/` : b.path;
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+        });
+        const content = Buffer.concat(sorted.map(entry => Buffer.concat([
+            Buffer.from(`${entry.mode.replace(/^0/, '')} ${entry.path}\0`),
+            Buffer.from(entry.sha, 'hex')
+        ])));
+
+        const sha = gitHash('tree', content);
+        this.trees.set(sha, sorted);
+        return sha;
+    }
+
+    /**
+     * Flat Map of path -> { mode, sha } for every blob under a tree
+     */
+    flatten(treeSha, prefix = '', flat = new Map()) {
+        for (const entry of this.trees.get(treeSha) || []) {
+            if (entry.type === 'tree') {
+                this.flatten(entry.sha, `${prefix}${entry.path}/`, flat);
+            } else {
+                flat.set(`${prefix}${entry.path}`, { mode: entry.mode, sha: entry.sha });
+            }
+        }
+        return flat;
+    }
+
+    createCommit(tree, parents, message) {
+        const date = new Date();
+        const signature = `HEAD-CRAB Fake <fake@head-crab.local> ${Math.floor(date.getTime() / 1000)} +0000`;
+        const content = Buffer.from([
+            `tree ${tree}`,
+            ...parents.map(parent => `parent ${parent}`),
+            `author ${signature}`,
+            `committer ${signature}`,
+            '',
+            message
+        ].join('\n') + '\n');
+
+        const sha = gitHash('commit', content);
+        const person = { name: 'HEAD-CRAB Fake', email: 'fake@head-crab.local', date: date.toISOString() };
+        this.commits.set(sha, {
+            sha,
+            tree: { sha: tree },
+            parents: parents.map(parent => ({ sha: parent })),
+            message,
+            author: person,
+            committer: person
+        });
+        return sha;
+    }
+
+    /**
+     * Commit changes (path -> Buffer, or null to delete) on top of a branch
+     */
+    commitChanges(branch, changes, message) {
+        const head = this.refs.get(`heads/${branch}`);
+        const flat = head ? this.flatten(this.commits.get(head).tree.sha) : new Map();
+
+        for (const [filePath, content] of Object.entries(changes)) {
+            if (content === null) {
+                flat.delete(filePath);
+            } else {
+                flat.set(filePath, { mode: '100644', sha: this.putBlob(Buffer.from(content)) });
+            }
+        }
+
+        const sha = this.createCommit(this.writeTree(flat), head ? [head] : [], message);
+        this.refs.set(`heads/${branch}`, sha);
+        return sha;
+    }
+
+    /**
+     * Files of a branch as a flat Map, empty for a missing branch
+     */
+    files(branch = this.defaultBranch) {
+        const head = this.refs.get(`heads/${branch}`);
+        return head ? this.flatten(this.commits.get(head).tree.sha) : new Map();
+    }
+
+    /**
+     * Tree sha for a tree sha, commit sha or branch name
+     */
+    resolveTree(ref) {
+        if (this.trees.has(ref)) return ref;
+        const commit = this.commits.get(ref) || this.commits.get(this.refs.get(`heads/${ref}`));
+        return commit ? commit.tree.sha : null;
+    }
+
+    isAncestor(ancestor, sha) {
+        const pending = [sha];
+        const seen = new Set();
+        while (pending.length > 0) {
+            const current = pending.pop();
+            if (current === ancestor) return true;
+            if (seen.has(current)) continue;
+            seen.add(current);
+            const commit = this.commits.get(current);
+            if (commit) pending.push(...commit.parents.map(parent => parent.sha));
+        }
+        return false;
+    }
+
+    /**
+     * Workflows are the YAML files under .github/workflows on the default branch
+     */
+    workflows() {
+        const workflows = [];
+        for (const filePath of this.files().keys()) {
+            if (!/^\.github\/workflows\/[^/]+\.ya?ml$/.test(filePath)) continue;
+            if (!this.workflowIds.has(filePath)) {
+                this.workflowIds.set(filePath, 1000 + this.workflowIds.size);
+            }
+            workflows.push({
+                id: this.workflowIds.get(filePath),
+                name: path.posix.basename(filePath).replace(/\.ya?ml$/, ''),
+                path: filePath,
+                state: 'active',
+                created_at: this.createdAt,
+                updated_at: this.createdAt
+            });
+        }
+        return workflows;
+    }
+
+    addRun(run = {}) {
+        const workflow = this.workflows().find(w => w.id === run.workflow_id || w.path === run.path) || this.workflows()[0];
+        const branch = run.head_branch || this.defaultBranch;
+        const record = {
+            id: run.id || 5000 + this.runs.length,
+            name: workflow ? workflow.name : 'CI',
+            workflow_id: workflow ? workflow.id : null,
+            path: workflow ? workflow.path : null,
+            head_branch: branch,
+            head_sha: this.refs.get(`heads/${branch}`) || null,
+            event: run.event || 'push',
+            status: run.status || 'completed',
+            conclusion: run.conclusion === undefined ? 'success' : run.conclusion,
+            run_number: this.runs.length + 1,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        this.runs.unshift(record);
+        return record;
+    }
+}
+
+class FakeGitHubServer {
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 0;
+        this.token = options.token || null; // Only this token is accepted when set
+        this.user = {
+            login: 'head-crab-fake',
+            id: 1,
+            name: 'HEAD-CRAB Fake',
+            type: 'User',
+            ...options.user
+        };
+
+        this.rateLimit = {
+            limit: 5000,
+            remaining: 5000,
+            used: 0,
+            reset: Math.floor(Date.now() / 1000) + 3600,
+            ...options.rateLimit
+        };
+
+        // 'fake' serves the in-memory state, 'record' forwards to upstream
+        // and saves fixtures, 'replay' answers from saved fixtures
+        this.mode = options.mode || 'fake';
+        this.fixturesFile = options.fixtures || null;
+        this.upstream = new URL(options.upstream || 'https://api.github.com');
+        this.fixtures = [];
+
+        this.repos = new Map();
+        this.failures = [];
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+
+        this.routes = this.createRoutes();
+    }
+
+    /**
+     * Start listening, resolving with the base URL to give the client
+     */
+    async start() {
+        if (this.mode === 'replay') {
+            this.fixtures = JSON.parse(await fs.readFile(this.fixturesFile, 'utf8'))
+                .map(fixture => ({ ...fixture, used: false }));
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, { status: 500, data: { message: error.message } });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.url = `http://${this.host}:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (this.mode === 'record') await this.saveFixtures();
+        if (!this.server) return;
+
+        // Also drops keep-alive sockets and requests parked by hang failures
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * Create a repository, optionally seeded with files (path -> content)
+     */
+    createRepo(fullName, files = {}, options = {}) {
+        const [owner, name] = fullName.split('/');
+        const repo = new FakeRepo(owner, name, options);
+        this.repos.set(fullName.toLowerCase(), repo);
+
+        if (Object.keys(files).length > 0) {
+            repo.commitChanges(repo.defaultBranch, files, 'Initial commit');
+        }
+        return repo;
+    }
+
+    repo(fullName) {
+        return this.repos.get(fullName.toLowerCase()) || null;
+    }
+
+    /**
+     * Fail matching requests: { method, path (string or RegExp), status,
+     * body, headers, times (default 1), delay, hang, reset }
+     * hang never answers, reset drops the connection
+     */
+    injectFailure(rule) {
+        const failure = { status: 500, times: 1, ...rule };
+        this.failures.push(failure);
+        return failure;
+    }
+
+    setRateLimit(rateLimit) {
+        Object.assign(this.rateLimit, rateLimit);
+    }
+
+    async handle(req, res) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const raw = Buffer.concat(chunks).toString('utf8');
+
+        const url = new URL(req.url, 'http://localhost');
+        const ctx = {
+            method: req.method,
+            path: url.pathname,
+            query: url.searchParams,
+            fullPath: url.pathname + url.search,
+            headers: req.headers,
+            body: raw ? JSON.parse(raw) : null
+        };
+        this.requests.push({ method: ctx.method, path: ctx.fullPath });
+
+        const failure = this.matchFailure(ctx);
+        if (failure) {
+            if (failure.delay) await new Promise(resolve => setTimeout(resolve, failure.delay));
+            if (failure.hang) return;
+            if (failure.reset) {
+                req.socket.destroy();
+                return;
+            }
+            this.send(res, {
+                status: failure.status,
+                headers: failure.headers || {},
+                data: failure.body || { message: `Injected failure (${failure.status})` }
+            });
+            return;
+        }
+
+        if (this.mode === 'record') {
+            this.send(res, await this.record(ctx, raw));
+            return;
+        }
+        if (this.mode === 'replay') {
+            this.send(res, this.replay(ctx));
+            return;
+        }
+
+        const authorization = req.headers['authorization'] || '';
+        if (this.token && authorization.replace(/^(Bearer|token)\s+/i, '') !== this.token) {
+            this.send(res, { status: 401, data: { message: 'Bad credentials', documentation_url: DOCS_URL } });
+            return;
+        }
+
+        // /rate_limit is free, as on GitHub
+        const counted = ctx.path !== '/rate_limit';
+        if (counted && !this.consumeRateLimit()) {
+            this.send(res, {
+                status: 403,
+                data: {
+                    message: `API rate limit exceeded for ${this.user.login}.`,
+                    documentation_url: `${DOCS_URL}/overview/rate-limits-for-the-rest-api`
+                }
+            });
+            return;
+        }
+
+        const response = this.route(ctx);
+
+        // Conditional requests answered with 304 don't count either
+        if (ctx.method === 'GET' && response.status === 200) {
+            const etag = `"${crypto.createHash('sha1').update(JSON.stringify(response.data)).digest('hex')}"`;
+            response.headers = { ...response.headers, etag };
+            if (req.headers['if-none-match'] === etag) {
+                if (counted) this.refundRateLimit();
+                this.send(res, { status: 304, headers: { etag } });
+                return;
+            }
+        }
+
+        this.send(res, response);
+    }
+
+    matchFailure(ctx) {
+        const index = this.failures.findIndex(rule =>
+            (!rule.method || rule.method === ctx.method) &&
+            (rule.path instanceof RegExp ? rule.path.test(ctx.fullPath) : !rule.path || rule.path === ctx.path));
+        if (index === -1) return null;
+
+        const failure = this.failures[index];
+        if (--failure.times <= 0) this.failures.splice(index, 1);
+        return failure;
+    }
+
+    consumeRateLimit() {
+        const now = Math.floor(Date.now() / 1000);
+        if (now >= this.rateLimit.reset) {
+            this.rateLimit.remaining = this.rateLimit.limit;
+            this.rateLimit.used = 0;
+            this.rateLimit.reset = now + 3600;
+        }
+        if (this.rateLimit.remaining <= 0) return false;
+
+        this.rateLimit.remaining--;
+        this.rateLimit.used++;
+        return true;
+    }
+
+    refundRateLimit() {
+        this.rateLimit.remaining++;
+        this.rateLimit.used--;
+    }
+
+    send(res, { status, headers = {}, data }) {
+        const body = data === undefined || status === 204 || status === 304 ? '' : JSON.stringify(data);
+        res.writeHead(status, {
+            'content-type': 'application/json; charset=utf-8',
+            'x-github-request-id': crypto.randomBytes(8).toString('hex').toUpperCase(),
+            'x-ratelimit-limit': String(this.rateLimit.limit),
+            'x-ratelimit-remaining': String(this.rateLimit.remaining),
+            'x-ratelimit-used': String(this.rateLimit.used),
+            'x-ratelimit-reset': String(this.rateLimit.reset),
+            'x-ratelimit-resource': 'core',
+            ...headers
+        });
+        res.end(body);
+    }
+
+    route(ctx) {
+        for (const [method, pattern, handler] of this.routes) {
+            if (method !== ctx.method) continue;
+            const match = ctx.path.match(pattern);
+            if (!match) continue;
+
+            ctx.params = match.slice(1).map(decodeURIComponent);
+            if (ctx.path.startsWith('/repos/')) {
+                ctx.repo = this.repo(`${ctx.params[0]}/${ctx.params[1]}`);
+                if (!ctx.repo) return notFound();
+                ctx.params = ctx.params.slice(2);
+            }
+            return handler(ctx);
+        }
+        return notFound();
+    }
+
+    createRoutes() {
+        const repo = '^/repos/([^/]+)/([^/]+)';
+        const git = handler => ctx => ctx.repo.isEmpty()
+            ? { status: 409, data: { message: 'Git Repository is empty.', documentation_url: DOCS_URL } }
+            : handler(ctx);
+
+        return [
+            ['GET', /^\/user$/, () => ok(this.user)],
+            ['GET', /^\/rate_limit$/, () => ok(this.rateLimitBody())],
+            ['POST', /^\/app\/installations\/([^/]+)\/access_tokens$/, () => ok({
+                token: `ghs_fake${crypto.randomBytes(12).toString('hex')}`,
+                expires_at: new Date(Date.now() + 3600000).toISOString()
+            }, 201)],
+            ['GET', /^\/installation\/repositories$/, ctx => this.paginate(ctx, [...this.repos.values()].map(r => this.repoBody(r)), 'repositories')],
+
+            ['GET', new RegExp(`${repo}$`), ctx => ok(this.repoBody(ctx.repo))],
+            ['GET', new RegExp(`${repo}/branches$`), ctx => this.paginate(ctx, [...ctx.repo.refs.keys()]
+                .filter(ref => ref.startsWith('heads/'))
+                .map(ref => this.branchBody(ctx.repo, ref.slice('heads/'.length))))],
+            ['GET', new RegExp(`${repo}/branches/([^/]+)$`), ctx => ctx.repo.refs.has(`heads/${ctx.params[0]}`)
+                ? ok(this.branchBody(ctx.repo, ctx.params[0]))
+                : notFound('Branch not found')],
+
+            ['GET', new RegExp(`${repo}/contents/(.*)$`), ctx => this.getContents(ctx)],
+            ['PUT', new RegExp(`${repo}/contents/(.+)$`), ctx => this.putContents(ctx)],
+            ['DELETE', new RegExp(`${repo}/contents/(.+)$`), ctx => this.deleteContents(ctx)],
+
+            ['GET', new RegExp(`${repo}/git/ref/(.+)$`), git(ctx => this.getRef(ctx))],
+            ['GET', new RegExp(`${repo}/git/refs/(.+)$`), git(ctx => this.getRef(ctx))],
+            ['POST', new RegExp(`${repo}/git/refs$`), ctx => this.createRef(ctx)],
+            ['PATCH', new RegExp(`${repo}/git/refs/(.+)$`), git(ctx => this.updateRef(ctx))],
+            ['GET', new RegExp(`${repo}/git/commits/([0-9a-f]{40})$`), git(ctx => {
+                const commit = ctx.repo.commits.get(ctx.params[0]);
+                return commit ? ok(commit) : notFound();
+            })],
+            ['POST', new RegExp(`${repo}/git/commits$`), git(ctx => this.createCommit(ctx))],
+            ['GET', new RegExp(`${repo}/git/blobs/([0-9a-f]{40})$`), git(ctx => {
+                const blob = ctx.repo.blobs.get(ctx.params[0]);
+                return blob
+                    ? ok({ sha: ctx.params[0], size: blob.length, content: blob.toString('base64'), encoding: 'base64' })
+                    : notFound();
+            })],
+            ['POST', new RegExp(`${repo}/git/blobs$`), git(ctx => {
+                const content = Buffer.from(ctx.body.content, ctx.body.encoding === 'base64' ? 'base64' : 'utf8');
+                return ok({ sha: ctx.repo.putBlob(content) }, 201);
+            })],
+            ['GET', new RegExp(`${repo}/git/trees/(.+)$`), git(ctx => this.getTree(ctx))],
+            ['POST', new RegExp(`${repo}/git/trees$`), git(ctx => this.createTree(ctx))],
+
+            ['GET', new RegExp(`${repo}/actions/workflows$`), ctx => this.paginate(ctx, ctx.repo.workflows(), 'workflows')],
+            ['GET', new RegExp(`${repo}/actions/workflows/([^/]+)/runs$`), ctx => {
+                const workflow = this.findWorkflow(ctx.repo, ctx.params[0]);
+                if (!workflow) return notFound();
+                return this.paginate(ctx, this.filterRuns(ctx, ctx.repo.runs.filter(run => run.workflow_id === workflow.id)), 'workflow_runs');
+            }],
+            ['POST', new RegExp(`${repo}/actions/workflows/([^/]+)/dispatches$`), ctx => {
+                const workflow = this.findWorkflow(ctx.repo, ctx.params[0]);
+                if (!workflow) return notFound();
+                ctx.repo.addRun({ workflow_id: workflow.id, head_branch: ctx.body.ref, event: 'workflow_dispatch', status: 'queued', conclusion: null });
+                return { status: 204 };
+            }],
+            ['GET', new RegExp(`${repo}/actions/runs$`), ctx => this.paginate(ctx, this.filterRuns(ctx, ctx.repo.runs), 'workflow_runs')],
+            ['GET', new RegExp(`${repo}/actions/runs/(\\d+)$`), ctx => {
+                const run = ctx.repo.runs.find(r => r.id === parseInt(ctx.params[0]));
+                return run ? ok(run) : notFound();
+            }]
+        ];
+    }
+
+    rateLimitBody() {
+        const core = { ...this.rateLimit };
+        return {
+            resources: {
+                core,
+                graphql: { limit: 5000, remaining: 5000, used: 0, reset: core.reset },
+                search: { limit: 30, remaining: 30, used: 0, reset: core.reset }
+            },
+            rate: core
+        };
+    }
+
+    repoBody(repo) {
+        return {
+            id: Math.abs(crypto.createHash('md5').update(repo.fullName).digest().readInt32BE(0)),
+            name: repo.name,
+            full_name: repo.fullName,
+            owner: { login: repo.owner },
+            private: repo.private,
+            default_branch: repo.defaultBranch,
+            created_at: repo.createdAt
+        };
+    }
+
+    branchBody(repo, branch) {
+        const sha = repo.refs.get(`heads/${branch}`);
+        return { name: branch, commit: { sha }, protected: false };
+    }
+
+    /**
+     * Serve a page of a list, with per_page/page and a Link header
+     * key wraps the page as { total_count, [key]: items } like the Actions endpoints
+     */
+    paginate(ctx, items, key = null) {
+        const perPage = Math.min(parseInt(ctx.query.get('per_page')) || 30, 100);
+        const page = Math.max(parseInt(ctx.query.get('page')) || 1, 1);
+        const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+        const pageItems = items.slice((page - 1) * perPage, page * perPage);
+
+        const pageUrl = number => {
+            const query = new URLSearchParams(ctx.query);
+            query.set('page', String(number));
+            return `<${this.url}${ctx.path}?${query}>`;
+        };
+        const links = [];
+        if (page < lastPage) links.push(`${pageUrl(page + 1)}; rel="next"`, `${pageUrl(lastPage)}; rel="last"`);
+        if (page > 1) links.push(`${pageUrl(1)}; rel="first"`, `${pageUrl(page - 1)}; rel="prev"`);
+
+        return {
+            status: 200,
+            headers: links.length > 0 ? { link: links.join(', ') } : {},
+            data: key ? { total_count: items.length, [key]: pageItems } : pageItems
+        };
+    }
+
+    findWorkflow(repo, id) {
+        return repo.workflows().find(workflow =>
+            String(workflow.id) === id || path.posix.basename(workflow.path) === id);
+    }
+
+    filterRuns(ctx, runs) {
+        return runs.filter(run =>
+            (!ctx.query.get('status') || run.status === ctx.query.get('status') || run.conclusion === ctx.query.get('status')) &&
+            (!ctx.query.get('branch') || run.head_branch === ctx.query.get('branch')) &&
+            (!ctx.query.get('event') || run.event === ctx.query.get('event')));
+    }
+
+    getContents(ctx) {
+        const filePath = ctx.params[0].replace(/\/+$/, '');
+        const files = ctx.repo.files(ctx.query.get('ref') || ctx.repo.defaultBranch);
+        if (ctx.repo.isEmpty()) return notFound('This repository is empty.');
+
+        const file = files.get(filePath);
+        if (file) {
+            const content = ctx.repo.blobs.get(file.sha);
+            return ok({
+                type: 'file',
+                encoding: 'base64',
+                size: content.length,
+                name: path.posix.basename(filePath),
+                path: filePath,
+                sha: file.sha,
+                content: content.toString('base64')
+            });
+        }
+
+        // Directory listing
+        const prefix = filePath ? `${filePath}/` : '';
+        const entries = new Map();
+        for (const [entryPath, entry] of files) {
+            if (!entryPath.startsWith(prefix)) continue;
+            const [name, ...rest] = entryPath.slice(prefix.length).split('/');
+            if (rest.length > 0) {
+                entries.set(name, { type: 'dir', name, path: prefix + name, sha: null, size: 0 });
+            } else {
+                entries.set(name, { type: 'file', name, path: entryPath, sha: entry.sha, size: ctx.repo.blobs.get(entry.sha).length });
+            }
+        }
+        return entries.size > 0 ? ok([...entries.values()]) : notFound();
+    }
+
+    putContents(ctx) {
+        const filePath = ctx.params[0];
+        const branch = ctx.body.branch || ctx.repo.defaultBranch;
+        const existing = ctx.repo.files(branch).get(filePath);
+
+        if (existing && !ctx.body.sha) {
+            return { status: 422, data: { message: 'Invalid request.\n\n"sha" wasn\'t supplied.', documentation_url: DOCS_URL } };
+        }
+        if (existing && ctx.body.sha !== existing.sha) {
+            return { status: 409, data: { message: `${filePath} does not match ${ctx.body.sha}`, documentation_url: DOCS_URL } };
+        }
+
+        const commit = ctx.repo.commitChanges(branch, { [filePath]: Buffer.from(ctx.body.content, 'base64') }, ctx.body.message);
+        const sha = ctx.repo.files(branch).get(filePath).sha;
+        return ok({
+            content: { name: path.posix.basename(filePath), path: filePath, sha },
+            commit: { sha: commit, message: ctx.body.message }
+        }, existing ? 200 : 201);
+    }
+
+    deleteContents(ctx) {
+        const filePath = ctx.params[0];
+        const branch = ctx.body.branch || ctx.repo.defaultBranch;
+        const existing = ctx.repo.files(branch).get(filePath);
+
+        if (!existing) return notFound();
+        if (ctx.body.sha !== existing.sha) {
+            return { status: 409, data: { message: `${filePath} does not match ${ctx.body.sha}`, documentation_url: DOCS_URL } };
+        }
+
+        const commit = ctx.repo.commitChanges(branch, { [filePath]: null }, ctx.body.message);
+        return ok({ content: null, commit: { sha: commit, message: ctx.body.message } });
+    }
+
+    getRef(ctx) {
+        const sha = ctx.repo.refs.get(ctx.params[0]);
+        if (!sha) return notFound();
+        return ok({ ref: `refs/${ctx.params[0]}`, object: { sha, type: 'commit' } });
+    }
+
+    createRef(ctx) {
+        const ref = ctx.body.ref.replace(/^refs\//, '');
+        if (ctx.repo.refs.has(ref)) {
+            return { status: 422, data: { message: 'Reference already exists', documentation_url: DOCS_URL } };
+        }
+        if (!ctx.repo.commits.has(ctx.body.sha)) {
+            return { status: 422, data: { message: 'Object does not exist', documentation_url: DOCS_URL } };
+        }
+        ctx.repo.refs.set(ref, ctx.body.sha);
+        return ok({ ref: `refs/${ref}`, object: { sha: ctx.body.sha, type: 'commit' } }, 201);
+    }
+
+    updateRef(ctx) {
+        const ref = ctx.params[0];
+        const current = ctx.repo.refs.get(ref);
+        if (!current) return notFound();
+        if (!ctx.repo.commits.has(ctx.body.sha)) {
+            return { status: 422, data: { message: 'Object does not exist', documentation_url: DOCS_URL } };
+        }
+        if (!ctx.body.force && !ctx.repo.isAncestor(current, ctx.body.sha)) {
+            return { status: 422, data: { message: 'Update is not a fast forward', documentation_url: DOCS_URL } };
+        }
+        ctx.repo.refs.set(ref, ctx.body.sha);
+        return ok({ ref: `refs/${ref}`, object: { sha: ctx.body.sha, type: 'commit' } });
+    }
+
+    createCommit(ctx) {
+        const { message, tree, parents = [] } = ctx.body;
+        if (!ctx.repo.trees.has(tree) || parents.some(parent => !ctx.repo.commits.has(parent))) {
+            return { status: 422, data: { message: 'Tree or parent SHA does not exist', documentation_url: DOCS_URL } };
+        }
+        return ok(ctx.repo.commits.get(ctx.repo.createCommit(tree, parents, message)), 201);
+    }
+
+    getTree(ctx) {
+        const sha = ctx.repo.resolveTree(ctx.params[0]);
+        if (!sha) return notFound();
+
+        if (!ctx.query.get('recursive')) {
+            return ok({ sha, tree: ctx.repo.trees.get(sha), truncated: false });
+        }
+
+        const tree = [];
+        const walk = (treeSha, prefix) => {
+            for (const entry of ctx.repo.trees.get(treeSha)) {
+                const item = { ...entry, path: prefix + entry.path };
+                if (entry.type === 'blob') item.size = ctx.repo.blobs.get(entry.sha).length;
+                tree.push(item);
+                if (entry.type === 'tree') walk(entry.sha, `${item.path}/`);
+            }
+        };
+        walk(sha, '');
+        return ok({ sha, tree, truncated: false });
+    }
+
+    createTree(ctx) {
+        const { base_tree: baseTree, tree } = ctx.body;
+        if (baseTree && !ctx.repo.trees.has(baseTree)) {
+            return { status: 422, data: { message: 'Invalid base_tree', documentation_url: DOCS_URL } };
+        }
+
+        const flat = baseTree ? ctx.repo.flatten(baseTree) : new Map();
+        for (const entry of tree) {
+            if (entry.sha === null) {
+                flat.delete(entry.path);
+            } else if (entry.content !== undefined) {
+                flat.set(entry.path, { mode: entry.mode, sha: ctx.repo.putBlob(Buffer.from(entry.content)) });
+            } else if (ctx.repo.blobs.has(entry.sha)) {
+                flat.set(entry.path, { mode: entry.mode, sha: entry.sha });
+            } else {
+                return { status: 422, data: { message: `Invalid tree info: ${entry.path}`, documentation_url: DOCS_URL } };
+            }
+        }
+
+        const sha = ctx.repo.writeTree(flat);
+        return ok({ sha, tree: ctx.repo.trees.get(sha), truncated: false }, 201);
+    }
+
+    /**
+     * Forward a request upstream and keep the exchange as a fixture
+     */
+    async record(ctx, raw) {
+        const target = new URL(this.upstream.pathname.replace(/\/+$/, '') + ctx.fullPath, this.upstream);
+        const headers = { ...ctx.headers, host: target.host };
+        delete headers['content-length'];
+
+        const response = await new Promise((resolve, reject) => {
+            const req = (target.protocol === 'https:' ? https : http).request(target, { method: ctx.method, headers }, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+            });
+            req.on('error', reject);
+            if (raw) req.write(raw);
+            req.end();
+        });
+
+        let data;
+        try {
+            data = response.body ? JSON.parse(response.body) : undefined;
+        } catch (error) {
+            data = { message: response.body };
+        }
+
+        const fixture = {
+            method: ctx.method,
+            path: ctx.fullPath,
+            body: ctx.body,
+            status: response.status,
+            headers: pickHeaders(response.headers),
+            data
+        };
+        this.fixtures.push(fixture);
+        return this.rewriteLinks(fixture, target.origin + this.upstream.pathname.replace(/\/+$/, ''));
+    }
+
+    /**
+     * Answer from fixtures: the first unused match, else the last match
+     */
+    replay(ctx) {
+        const body = JSON.stringify(ctx.body);
+        const matches = this.fixtures.filter(fixture =>
+            fixture.method === ctx.method && fixture.path === ctx.fullPath && JSON.stringify(fixture.body) === body);
+        if (matches.length === 0) {
+            return notFound(`No fixture recorded for ${ctx.method} ${ctx.fullPath}`);
+        }
+
+        const fixture = matches.find(match => !match.used) || matches[matches.length - 1];
+        fixture.used = true;
+        return this.rewriteLinks(fixture, fixture.origin);
+    }
+
+    /**
+     * Point Link headers at this server so pagination stays here
+     */
+    rewriteLinks(fixture, origin) {
+        const headers = { ...fixture.headers };
+        if (headers.link) {
+            headers.link = headers.link.replace(/<https?:\/\/[^/>]+(?:\/api\/v3)?/g, `<${this.url}`);
+        }
+        fixture.origin = origin;
+        return { status: fixture.status, headers, data: fixture.data };
+    }
+
+    async saveFixtures() {
+        if (!this.fixturesFile) return;
+        const fixtures = this.fixtures.map(({ used, origin, ...fixture }) => fixture);
+        await fs.writeFile(this.fixturesFile, JSON.stringify(fixtures, null, 2));
+        console.log(`💾 Saved ${fixtures.length} fixtures to ${this.fixturesFile}`);
+    }
+}
+
+function ok(data, status = 200) {
+    return { status, data };
+}
+
+function notFound(message = 'Not Found') {
+    return { status: 404, data: { message, documentation_url: DOCS_URL } };
+}
+
+function pickHeaders(headers) {
+    const picked = {};
+    for (const name of FIXTURE_HEADERS) {
+        if (headers[name] !== undefined) picked[name] = headers[name];
+    }
+    return picked;
+}
+
+/**
+ * Exercise the client, cache and sync against a fresh server
+ */
+async function testServer() {
+    // Required lazily so the server itself has no dependency on the client
+    const { GitHubOAuthClient } = require('./github-oauth-client.js');
+    const { GitHubCache } = require('./github-cache.js');
+    const { syncDirectory, syncBidirectional } = require('./github-sync.js');
+    const { RateLimitedError, NotFoundError } = require('./github-errors.js');
+
+    console.log('🧪 Testing against the fake GitHub server\n');
+
+    const server = new FakeGitHubServer({ token: 'fake-token' });
+    await server.start();
+    const repo = server.createRepo('head-crab/fake', {
+        'README.md': '# Fake\n',
+        '.github/workflows/ci.yml': 'name: CI\n'
+    });
+    for (let i = 0; i < 5; i++) repo.addRun();
+
+    const cache = new GitHubCache({ storage: 'memory', ttl: 1, staleWhileRevalidate: 0 });
+    await cache.init();
+    const client = new GitHubOAuthClient({
+        token: 'fake-token',
+        baseUrl: server.url,
+        cache,
+        rateLimiter: { shared: false },
+        retryPolicy: { baseDelay: 10, maxDelay: 50, primaryRetries: 0 }
+    });
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'head-crab-fake-'));
+    let failures = 0;
+    const check = (label, passed) => {
+        console.log(`   ${passed ? '✅' : '❌'} ${label}`);
+        if (!passed) failures++;
+    };
+
+    try {
+        console.log('1. Client basics:');
+        const user = await client.request('GET', '/user');
+        check(`Authenticated as ${user.login}`, user.login === 'head-crab-fake');
+        const unauthorized = new GitHubOAuthClient({ token: 'wrong', baseUrl: server.url, rateLimiter: { shared: false } });
+        check('Wrong token rejected', await unauthorized.request('GET', '/user').then(() => false, error => error.status === 401));
+        unauthorized.close();
+
+        console.log('\n2. Cache revalidation:');
+        await client.request('GET', '/repos/head-crab/fake');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await client.request('GET', '/repos/head-crab/fake');
+        check(`Expired entry revalidated with 304 (${cache.stats.notModified} not modified)`, cache.stats.notModified === 1);
+
+        console.log('\n3. Pagination:');
+        const runs = await client.paginateAll('/repos/head-crab/fake/actions/runs', { per_page: 2 });
+        check(`Followed Link headers to ${runs.length} workflow runs`, runs.length === 5);
+        const workflows = await client.request('GET', '/repos/head-crab/fake/actions/workflows');
+        check(`Listed workflow ${workflows.workflows[0].path}`, workflows.total_count === 1);
+
+        console.log('\n4. Directory sync:');
+        await fs.mkdir(path.join(tmpDir, 'src'));
+        await fs.writeFile(path.join(tmpDir, 'README.md'), '# Fake\n');
+        await fs.writeFile(path.join(tmpDir, 'src', 'app.js'), 'console.log("hi");\n');
+        await fs.writeFile(path.join(tmpDir, 'logo.bin'), crypto.randomBytes(2048));
+        const first = await syncDirectory(client, 'head-crab', 'fake', tmpDir);
+        const logo = repo.files().get('logo.bin');
+        check(`Synced ${first.added.length} new files in one commit`, first.added.length === 2 && Boolean(first.commit));
+        check('Binary file stored byte for byte',
+            Boolean(logo) && repo.blobs.get(logo.sha).equals(await fs.readFile(path.join(tmpDir, 'logo.bin'))));
+        const second = await syncDirectory(client, 'head-crab', 'fake', tmpDir);
+        check('Second sync found nothing to upload', second.commit === null && second.unchanged === 3);
+
+        await syncBidirectional(client, 'head-crab', 'fake', tmpDir);
+        await fs.writeFile(path.join(tmpDir, 'README.md'), '# Local\n');
+        // A remote edit that lands between the scan and the push
+        client.batchUploadFiles = (...args) => {
+            repo.commitChanges('main', { 'README.md': '# Remote\n' }, 'Concurrent edit');
+            return GitHubOAuthClient.prototype.batchUploadFiles.apply(client, args);
+        };
+        const raced = await syncBidirectional(client, 'head-crab', 'fake', tmpDir);
+        delete client.batchUploadFiles;
+        const readme = repo.blobs.get(repo.files().get('README.md').sha).toString();
+        check('Push pinned to the scanned head kept a concurrent remote edit', raced.errors.length === 1 && readme === '# Remote\n');
+        const resynced = await syncBidirectional(client, 'head-crab', 'fake', tmpDir);
+        check('Next sync reports the concurrent edit as a conflict',
+            resynced.conflicts.length === 1 && resynced.conflicts[0].path === 'README.md');
+
+        console.log('\n5. Failure injection:');
+        server.injectFailure({ path: '/user', status: 502 });
+        check('Retried through an injected 502', (await client.request('GET', '/user')).login === 'head-crab-fake');
+        check('Missing file is a NotFoundError',
+            await client.request('GET', '/repos/head-crab/fake/contents/nope.txt').then(() => false, error => error instanceof NotFoundError));
+        server.setRateLimit({ remaining: 0 });
+        check('Exhausted rate limit is a RateLimitedError',
+            await client.request('GET', '/user', null, { cache: false }).then(() => false, error => error instanceof RateLimitedError));
+        server.setRateLimit({ remaining: 5000 });
+
+        console.log('\n6. Record and replay:');
+        const fixtures = path.join(tmpDir, 'fixtures.json');
+        const recorder = new FakeGitHubServer({ mode: 'record', upstream: server.url, fixtures });
+        const recordingClient = new GitHubOAuthClient({ token: 'fake-token', baseUrl: await recorder.start(), rateLimiter: { shared: false } });
+        const recorded = await recordingClient.paginateAll('/repos/head-crab/fake/actions/runs', { per_page: 2 });
+        recordingClient.close();
+        await recorder.stop();
+
+        const player = new FakeGitHubServer({ mode: 'replay', fixtures });
+        const replayClient = new GitHubOAuthClient({ token: 'anything', baseUrl: await player.start(), rateLimiter: { shared: false } });
+        const replayed = await replayClient.paginateAll('/repos/head-crab/fake/actions/runs', { per_page: 2 });
+        replayClient.close();
+        await player.stop();
+        check(`Replayed ${replayed.length} runs from ${recorder.fixtures.length} fixtures`,
+            replayed.length === recorded.length && JSON.stringify(replayed) === JSON.stringify(recorded));
+    } finally {
+        client.close();
+        await server.stop();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${failures === 0 ? '✅ All checks passed' : `❌ ${failures} checks failed`} (${server.requests.length} requests served)`);
+    return failures === 0;
+}
+
+function printUsage() {
+    console.log('Usage: node fake-github-server.js <command> [options]\n');
+    console.log('Commands:');
+    console.log('  serve [--port N] [--token T] [--repo owner/name]   Serve in-memory state');
+    console.log('  record --fixtures file.json [--upstream URL]       Forward to GitHub and save fixtures');
+    console.log('  replay --fixtures file.json                        Answer from saved fixtures');
+    console.log('  test                                               Run the self-test');
+    console.log('\nPoint the client at it with GITHUB_API_URL=http://127.0.0.1:<port>');
+}
+
+async function main() {
+    const { parseArgs } = require('./github-cache.js');
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+    const command = positional[0] || 'serve';
+
+    if (command === 'test') {
+        process.exitCode = await testServer() ? 0 : 1;
+        return;
+    }
+    if (!['serve', 'record', 'replay'].includes(command) || (command !== 'serve' && !flags.fixtures)) {
+        printUsage();
+        return;
+    }
+
+    const server = new FakeGitHubServer({
+        port: parseInt(flags.port) || 3000,
+        token: flags.token,
+        mode: command === 'serve' ? 'fake' : command,
+        fixtures: flags.fixtures,
+        upstream: flags.upstream
+    });
+    if (flags.repo) {
+        server.createRepo(flags.repo, { 'README.md': `# ${flags.repo}\n` });
+    }
+
+    const url = await server.start();
+    console.log(`🦀 Fake GitHub API (${server.mode}) listening on ${url}`);
+    console.log(`   export GITHUB_API_URL=${url}`);
+
+    process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = { FakeGitHubServer, FakeRepo, gitHash };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
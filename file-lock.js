@@ -0,0 +1,168 @@
+/**
+ * Advisory file locks and atomic writes for HEAD-CRAB processes
+ * sharing state on disk (cache index, rate limiter state)
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether a lock holder is still running
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read a lock file, resolving with its holder text if the holder is gone
+ * and null while it is still held
+ * A holder that can't be parsed (a crash between creating the file and
+ * writing it) is judged by the file's age instead
+ */
+async function readStaleLock(lockPath, staleMs) {
+    const [raw, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+
+    let holder = null;
+    try {
+        holder = JSON.parse(raw);
+    } catch (error) {
+        // Empty or corrupt
+    }
+    if (!holder || typeof holder.pid !== 'number' || typeof holder.time !== 'number') {
+        return Date.now() - stat.mtimeMs > staleMs ? raw : null;
+    }
+    return Date.now() - holder.time > staleMs || !isProcessAlive(holder.pid) ? raw : null;
+}
+
+/**
+ * Break a stale lock by renaming it aside, so only one waiter can claim it,
+ * then check the claimed file still holds the stale holder that was read
+ * A lock released and taken again in between is put back; if yet another
+ * waiter took the free path meanwhile, the lock can't be restored and the
+ * holder whose file was claimed has lost it
+ */
+async function breakStaleLock(lockPath, staleHolder) {
+    const claimedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+        await fs.rename(lockPath, claimedPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return; // Another waiter got there first
+        throw error;
+    }
+
+    try {
+        const claimed = await fs.readFile(claimedPath, 'utf8');
+        if (claimed === staleHolder) return;
+
+        try {
+            await fs.link(claimedPath, lockPath);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            console.error(`⚠️  Lock ${lockPath} was taken while a stale holder was broken, its holder lost it: ${claimed}`);
+        }
+    } finally {
+        await fs.unlink(claimedPath).catch(() => {});
+    }
+}
+
+/**
+ * Create the lock file with its holder already written, or return false if it exists
+ * The holder goes to a temp file first and is hard-linked into place, so the
+ * lock never exists without a holder
+ */
+async function tryCreateLock(lockPath, holder) {
+    const tmpPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, holder);
+    try {
+        await fs.link(tmpPath, lockPath);
+        return true;
+    } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+    } finally {
+        await fs.unlink(tmpPath).catch(() => {});
+    }
+}
+
+/**
+ * Acquire a lock file, resolving with a release function
+ * Locks held by dead processes or older than staleMs are broken; release
+ * only removes the lock if this acquisition still holds it
+ */
+async function acquireLock(lockPath, options = {}) {
+    const timeout = options.timeout || 5000;
+    const staleMs = options.staleMs || 10000;
+    const retryDelay = options.retryDelay || 25;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        const holder = JSON.stringify({
+            pid: process.pid,
+            time: Date.now(),
+            token: crypto.randomBytes(8).toString('hex')
+        });
+        if (await tryCreateLock(lockPath, holder)) {
+            return async () => {
+                try {
+                    if (await fs.readFile(lockPath, 'utf8') === holder) {
+                        await fs.unlink(lockPath);
+                    }
+                } catch (error) {
+                    // Already gone
+                }
+            };
+        }
+
+        try {
+            const staleHolder = await readStaleLock(lockPath, staleMs);
+            if (staleHolder !== null) {
+                await breakStaleLock(lockPath, staleHolder);
+                continue;
+            }
+        } catch (error) {
+            // Released while we looked, retry straight away
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock: ${lockPath}`);
+        }
+        await sleep(retryDelay + Math.random() * retryDelay);
+    }
+}
+
+/**
+ * Run fn while holding the lock
+ */
+async function withLock(lockPath, fn, options) {
+    const release = await acquireLock(lockPath, options);
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+/**
+ * Write a file via a temp file and rename so readers never see partial data
+ */
+async function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tmpPath, data);
+        await fs.rename(tmpPath, filePath);
+    } catch (error) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { acquireLock, withLock, writeFileAtomic };
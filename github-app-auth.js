@@ -0,0 +1,130 @@
+/**
+ * GitHub App authentication for HEAD-CRAB
+ * Signs an RS256 JWT with the app's private key and exchanges it for an
+ * installation token, cached and refreshed shortly before it expires
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Load a PEM key from an environment value or a path to a .pem file
+ * .env files usually carry the key on one line with escaped newlines
+ */
+function loadPrivateKey(value) {
+    if (!value) return null;
+    if (value.includes('-----BEGIN')) {
+        return value.replace(/\\n/g, '\n');
+    }
+    return fs.readFileSync(value, 'utf8');
+}
+
+/**
+ * Check a key setting without reading it: inline PEM, or a readable file
+ */
+function canLoadPrivateKey(value) {
+    if (!value) return false;
+    if (value.includes('-----BEGIN')) return true;
+    try {
+        fs.accessSync(value, fs.constants.R_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+class GitHubAppAuth {
+    constructor(options = {}) {
+        this.appId = options.appId || process.env.GITHUB_APP_ID;
+        this.installationId = options.installationId || process.env.GITHUB_APP_INSTALLATION_ID;
+        // Read on the first JWT, so a missing key file can't break constructing a client
+        this.privateKeySource = options.privateKey || process.env.GITHUB_APP_PRIVATE_KEY;
+        this.privateKey = null;
+        this.refreshMargin = options.refreshMargin || 300000; // Refresh 5 minutes before expiry
+
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Check whether app credentials are configured and the key can be read
+     */
+    static isConfigured(options = {}) {
+        return Boolean(
+            (options.appId || process.env.GITHUB_APP_ID) &&
+            canLoadPrivateKey(options.privateKey || process.env.GITHUB_APP_PRIVATE_KEY) &&
+            (options.installationId || process.env.GITHUB_APP_INSTALLATION_ID)
+        );
+    }
+
+    getPrivateKey() {
+        if (!this.privateKey) this.privateKey = loadPrivateKey(this.privateKeySource);
+        return this.privateKey;
+    }
+
+    /**
+     * Create a JWT identifying the app, valid for 9 minutes
+     * iat is backdated to allow for clock drift against GitHub
+     */
+    createJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 540, iss: String(this.appId) }));
+
+        const signature = crypto.createSign('RSA-SHA256')
+            .update(`${header}.${payload}`)
+            .sign(this.getPrivateKey(), 'base64')
+            .replace(/=+$/, '')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_');
+
+        return `${header}.${payload}.${signature}`;
+    }
+
+    /**
+     * Get a valid installation token, exchanging a new JWT when needed
+     * Concurrent callers share one exchange
+     */
+    async getToken(client) {
+        if (this.token && Date.now() < this.expiresAt - this.refreshMargin) {
+            return this.token;
+        }
+
+        if (!this.pending) {
+            this.pending = this.exchange(client).finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async exchange(client) {
+        const response = await client.send('POST', `/app/installations/${this.installationId}/access_tokens`, null, {
+            auth: false,
+            headers: { 'Authorization': `Bearer ${this.createJwt()}` }
+        });
+
+        this.token = response.data.token;
+        this.expiresAt = new Date(response.data.expires_at).getTime();
+        console.log(`🔑 GitHub App installation token refreshed (expires ${new Date(this.expiresAt).toLocaleTimeString()})`);
+        return this.token;
+    }
+
+    /**
+     * Drop the cached token, e.g. after a 401
+     */
+    invalidate() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+}
+
+module.exports = { GitHubAppAuth, loadPrivateKey, canLoadPrivateKey };
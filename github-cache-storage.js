@@ -0,0 +1,455 @@
+/**
+ * Storage backends for GitHubCache
+ * Every backend stores entries by key plus an index of per-entry metadata.
+ * Mutating methods resolve with the current index so the cache can mirror it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { withLock, writeFileAtomic } = require('./file-lock.js');
+
+/**
+ * Apply a batch of last-access times (key -> ms) to an index
+ * Entries removed meanwhile are skipped and times never move backwards
+ */
+function applyAccess(index, accessed) {
+    for (const [key, time] of Object.entries(accessed)) {
+        const info = index[key];
+        if (info && !(info.accessed >= time)) {
+            index[key] = { ...info, accessed: time };
+        }
+    }
+}
+
+/**
+ * In-memory storage for tests and short-lived CLI runs
+ */
+class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+        this.index = {};
+    }
+
+    async init() {}
+
+    async read(key) {
+        const data = this.entries.get(key);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async write(key, entry, info) {
+        // Store serialized copies so callers can't mutate cached data
+        this.entries.set(key, JSON.stringify(entry));
+        this.index[key] = info;
+        return this.index;
+    }
+
+    async touch(accessed) {
+        applyAccess(this.index, accessed);
+        return this.index;
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+        delete this.index[key];
+        return this.index;
+    }
+
+    async readIndex() {
+        return this.index;
+    }
+
+    async keys() {
+        return [...this.entries.keys()];
+    }
+
+    async compact() {}
+
+    async clear() {
+        this.entries.clear();
+        this.index = {};
+        return this.index;
+    }
+}
+
+/**
+ * One JSON file per entry plus an index.json
+ * Safe for several processes sharing one directory: files are written
+ * atomically and index updates are read-modify-write under a lock
+ */
+class DirectoryStorage {
+    constructor(options = {}) {
+        this.dir = options.cacheDir;
+        this.indexPath = path.join(this.dir, 'index.json');
+        this.lockPath = path.join(this.dir, 'index.lock');
+        this.lockOptions = options.lock || {};
+        this.index = {};
+    }
+
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+        await this.removeTempFiles();
+
+        // Recover from a missing or corrupt index
+        await this.readIndex();
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async read(key) {
+        try {
+            const data = await fs.readFile(this.entryPath(key), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async write(key, entry, info) {
+        await writeFileAtomic(this.entryPath(key), JSON.stringify(entry, null, 2));
+        return this.withIndexLock(async () => {
+            this.index[key] = info;
+        });
+    }
+
+    async touch(accessed) {
+        return this.withIndexLock(async () => {
+            applyAccess(this.index, accessed);
+        });
+    }
+
+    async remove(key) {
+        return this.withIndexLock(async () => {
+            try {
+                await fs.unlink(this.entryPath(key));
+            } catch (error) {
+                // File doesn't exist
+            }
+            delete this.index[key];
+        });
+    }
+
+    async readIndex() {
+        const index = await this.loadIndexFile();
+        if (index !== null) return index;
+
+        // withIndexLock rebuilds the index when it can't load it
+        return this.withIndexLock(async () => {});
+    }
+
+    /**
+     * Read index.json, resolving null when it is missing or unparseable
+     */
+    async loadIndexFile() {
+        try {
+            const data = await fs.readFile(this.indexPath, 'utf8');
+            this.index = JSON.parse(data);
+            return this.index;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Run an index mutation against the latest on-disk index and save it
+     */
+    async withIndexLock(mutate) {
+        await withLock(this.lockPath, async () => {
+            const index = await this.loadIndexFile();
+            if (index === null) this.index = await this.rebuildIndex();
+            await mutate();
+            await this.saveIndex();
+        }, this.lockOptions);
+        return this.index;
+    }
+
+    async saveIndex() {
+        await writeFileAtomic(this.indexPath, JSON.stringify(this.index, null, 2));
+    }
+
+    /**
+     * Rebuild the index from entry files, dropping any that don't parse
+     */
+    async rebuildIndex() {
+        console.error('🔧 Rebuilding cache index from entry files...');
+        const index = {};
+
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json') || file === 'index.json') continue;
+
+            const filePath = path.join(this.dir, file);
+            try {
+                const data = await fs.readFile(filePath, 'utf8');
+                const entry = JSON.parse(data);
+                index[entry.key] = {
+                    method: entry.method,
+                    path: entry.path,
+                    timestamp: entry.timestamp,
+                    accessed: entry.timestamp,
+                    size: Buffer.byteLength(data)
+                };
+            } catch (error) {
+                await fs.unlink(filePath).catch(() => {});
+            }
+        }
+
+        return index;
+    }
+
+    async keys() {
+        const files = await fs.readdir(this.dir);
+        return files
+            .filter(file => file.endsWith('.json') && file !== 'index.json')
+            .map(file => file.slice(0, -'.json'.length));
+    }
+
+    async compact() {
+        await this.removeTempFiles();
+    }
+
+    /**
+     * Remove temp files left behind by interrupted writes
+     */
+    async removeTempFiles() {
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.tmp')) continue;
+
+            const filePath = path.join(this.dir, file);
+            try {
+                const stats = await fs.stat(filePath);
+                if (Date.now() - stats.mtimeMs > 60000) await fs.unlink(filePath);
+            } catch (error) {
+                // Already renamed or removed by its writer
+            }
+        }
+    }
+
+    async clear() {
+        return this.withIndexLock(async () => {
+            const files = await fs.readdir(this.dir);
+            for (const file of files) {
+                if (file.endsWith('.json') && file !== 'index.json') {
+                    await fs.unlink(path.join(this.dir, file));
+                }
+            }
+            this.index = {};
+        });
+    }
+}
+
+/**
+ * Single append-only log file, replayed on init and compacted when
+ * superseded records outnumber live ones
+ * Several processes can share one log: writes append under a lock, and
+ * records other processes appended are read from where the last read
+ * stopped before each write and each read
+ */
+class LogStorage {
+    constructor(options = {}) {
+        this.logPath = options.logFile || path.join(options.cacheDir, 'cache.log');
+        this.lockPath = `${this.logPath}.lock`;
+        this.lockOptions = options.lock || {};
+        this.compactRatio = options.compactRatio || 2;
+        this.compactMinRecords = options.compactMinRecords || 100;
+        this.entries = new Map();
+        this.index = {};
+        this.records = 0;
+        this.offset = 0; // Bytes of the log applied so far
+        this.inode = null; // Compaction swaps in a new file
+    }
+
+    async init() {
+        await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+        await this.replay();
+    }
+
+    /**
+     * Rebuild state from the whole log
+     */
+    async replay() {
+        this.reset();
+        await this.catchUp();
+    }
+
+    reset() {
+        this.entries.clear();
+        this.index = {};
+        this.records = 0;
+        this.offset = 0;
+        this.inode = null;
+    }
+
+    /**
+     * Apply records appended since the last read, replaying from the start if
+     * another process compacted the log; a torn trailing record is left until
+     * its newline arrives
+     * Resolves with the size of the log
+     */
+    async catchUp() {
+        let handle;
+        try {
+            handle = await fs.open(this.logPath, 'r');
+        } catch (error) {
+            return 0;
+        }
+
+        try {
+            const stats = await handle.stat();
+            if (this.inode !== null && (stats.ino !== this.inode || stats.size < this.offset)) {
+                this.reset();
+            }
+            const start = this.offset;
+            const inode = this.inode;
+            if (stats.size === start) {
+                this.inode = stats.ino;
+                return stats.size;
+            }
+
+            const buffer = Buffer.alloc(stats.size - start);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+            // Another read of this process got there first
+            if (this.offset !== start || this.inode !== inode) return stats.size;
+
+            const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+            for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+                if (!line) continue;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                this.apply(record);
+                this.records++;
+            }
+            this.offset = start + end;
+            this.inode = stats.ino;
+            return stats.size;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    apply(record) {
+        if (record.op === 'set') {
+            this.entries.set(record.key, JSON.stringify(record.entry));
+            this.index[record.key] = record.info;
+        } else if (record.op === 'touch') {
+            if (record.accessed) {
+                applyAccess(this.index, record.accessed);
+            } else if (this.index[record.key]) {
+                this.index[record.key] = record.info; // Written before touches were batched
+            }
+        } else if (record.op === 'del') {
+            this.entries.delete(record.key);
+            delete this.index[record.key];
+        } else if (record.op === 'clear') {
+            this.entries.clear();
+            this.index = {};
+        }
+    }
+
+    async append(record) {
+        await withLock(this.lockPath, async () => {
+            const size = await this.catchUp();
+            // End a record torn by a crashed writer so this one parses
+            const line = `${size > this.offset ? '\n' : ''}${JSON.stringify(record)}\n`;
+            this.apply(record);
+            await fs.appendFile(this.logPath, line);
+            this.records++;
+            this.offset = size + Buffer.byteLength(line);
+            if (this.inode === null) this.inode = (await fs.stat(this.logPath)).ino;
+        }, this.lockOptions);
+
+        if (this.records > this.compactMinRecords &&
+            this.records > this.entries.size * this.compactRatio) {
+            await this.compact();
+        }
+        return this.index;
+    }
+
+    async read(key) {
+        await this.catchUp();
+        const data = this.entries.get(key);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async write(key, entry, info) {
+        return this.append({ op: 'set', key, entry, info });
+    }
+
+    async touch(accessed) {
+        return this.append({ op: 'touch', accessed });
+    }
+
+    async remove(key) {
+        if (!this.entries.has(key)) return this.index;
+        return this.append({ op: 'del', key });
+    }
+
+    async readIndex() {
+        await this.catchUp();
+        return this.index;
+    }
+
+    async keys() {
+        await this.catchUp();
+        return [...this.entries.keys()];
+    }
+
+    async clear() {
+        await withLock(this.lockPath, async () => {
+            this.entries.clear();
+            this.index = {};
+            await this.rewrite();
+        }, this.lockOptions);
+        return this.index;
+    }
+
+    /**
+     * Rewrite the log with one record per live entry, picking up records
+     * other processes appended since our last read
+     */
+    async compact() {
+        await withLock(this.lockPath, async () => {
+            await this.replay();
+            await this.rewrite();
+        }, this.lockOptions);
+    }
+
+    async rewrite() {
+        const lines = [];
+        for (const [key, data] of this.entries) {
+            lines.push(JSON.stringify({ op: 'set', key, entry: JSON.parse(data), info: this.index[key] }));
+        }
+
+        const data = lines.length ? lines.join('\n') + '\n' : '';
+        await writeFileAtomic(this.logPath, data);
+        this.records = lines.length;
+        this.offset = Buffer.byteLength(data);
+        this.inode = (await fs.stat(this.logPath)).ino;
+    }
+}
+
+/**
+ * Build a storage backend from GitHubCache options
+ */
+function createStorage(options = {}) {
+    const storage = options.storage || 'directory';
+    if (typeof storage === 'object') return storage;
+
+    switch (storage) {
+        case 'memory':
+            return new MemoryStorage(options);
+        case 'directory':
+            return new DirectoryStorage(options);
+        case 'log':
+            return new LogStorage(options);
+        default:
+            throw new Error(`Unknown cache storage: ${storage}`);
+    }
+}
+
+module.exports = { MemoryStorage, DirectoryStorage, LogStorage, createStorage };
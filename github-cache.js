@@ -5,90 +5,363 @@
  * Caches frequently accessed repository data to reduce API calls
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { createStorage } = require('./github-cache-storage.js');
+
+/**
+ * Default caching policy, first matching rule wins
+ * Rule fields: method (default GET, '*' for any), path pattern with :params
+ * and * wildcards, then one of ttl (ms), cache: false or immutable: true
+ */
+const DEFAULT_RULES = [
+    { path: '/rate_limit', cache: false },
+    { path: '/repos/:owner/:repo/git/blobs/:sha', immutable: true },
+    { path: '/repos/:owner/:repo/git/commits/:sha', immutable: true },
+    { path: '/repos/:owner/:repo/git/ref/*', ttl: 10000 },
+    { path: '/repos/:owner/:repo/git/refs/*', ttl: 10000 },
+    { path: '/repos/:owner/:repo/branches/*', ttl: 10000 }
+];
+
+/**
+ * Compile a rule path pattern into a regular expression
+ */
+function compilePattern(pattern) {
+    const source = pattern
+        .split('*')
+        .map(part => part
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:\w+/g, '[^/]+'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split a /repos/:owner/:repo/... API path into its repo and remainder
+ */
+function parseRepoPath(apiPath) {
+    const match = apiPath.split('?')[0].match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+    if (!match) return null;
+    return { repo: `${match[1]}/${match[2]}`, rest: match[3] || '' };
+}
+
+/**
+ * Repository-relative path of a contents API request, or null
+ */
+function contentsPath(rest) {
+    const match = rest.match(/^\/contents(?:\/(.*))?$/);
+    if (!match) return null;
+    return decodeURIComponent(match[1] || '').replace(/\/+$/, '');
+}
+
+/**
+ * Tags used for invalidation: the owning repo, the contents path and
+ * whether the response depends on where the repo's refs point
+ */
+function tagsFor(apiPath) {
+    const parsed = parseRepoPath(apiPath);
+    if (!parsed) return [];
+    
+    const tags = [`repo:${parsed.repo}`];
+    const filePath = contentsPath(parsed.rest);
+    if (filePath !== null) {
+        tags.push(`contents:${parsed.repo}:${filePath}`);
+    }
+    if (/^\/(git\/refs?|git\/trees|branches|commits)(\/|$)/.test(parsed.rest)) {
+        tags.push(`refs:${parsed.repo}`);
+    }
+    return tags;
+}
 
 class GitHubCache {
     constructor(options = {}) {
         this.cacheDir = options.cacheDir || path.join(__dirname, '.github-cache');
         this.ttl = options.ttl || 300000; // 5 minutes default TTL
         this.maxSize = options.maxSize || 100; // Max cache entries
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024; // Max total entry size
+        
+        // Grace windows past expiry: serve stale while refreshing, or only when the refresh fails
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? 60000;
+        this.staleIfError = options.staleIfError ?? 3600000;
+        
+        // Caching policy rules, custom rules take precedence over defaults
+        this.rules = [...(options.rules || []), ...DEFAULT_RULES].map(rule => ({
+            ...rule,
+            method: rule.method || 'GET',
+            regex: compilePattern(rule.path)
+        }));
+        
+        // Storage backend: 'directory' (default), 'memory', 'log' or a backend instance
+        this.storage = createStorage({ ...options, cacheDir: this.cacheDir });
+        this.index = {};
+        
+        // Hits only update recency in memory; it reaches storage in batches
+        this.accessFlushInterval = options.accessFlushInterval ?? 30000;
+        this.pendingAccess = new Map();
+        this.accessFlushTimer = null;
         this.stats = {
             hits: 0,
             misses: 0,
             writes: 0,
-            evictions: 0
+            evictions: 0,
+            bytesEvicted: 0,
+            revalidations: 0,
+            notModified: 0,
+            staleHits: 0,
+            staleOnError: 0
         };
     }
     
     /**
-     * Initialize cache directory
+     * Initialize storage backend
      */
     async init() {
-        await fs.mkdir(this.cacheDir, { recursive: true });
+        await this.storage.init();
         await this.loadIndex();
     }
     
     /**
      * Generate cache key from request
      */
-    generateKey(method, path, params = {}) {
-        const data = `${method}:${path}:${JSON.stringify(params)}`;
+    generateKey(method, apiPath, params = {}) {
+        const data = `${method}:${apiPath}:${JSON.stringify(params)}`;
         return crypto.createHash('md5').update(data).digest('hex');
     }
     
     /**
-     * Get from cache
+     * Read a stored entry without checking expiry
      */
-    async get(method, path, params) {
-        const key = this.generateKey(method, path, params);
-        const filePath = path.join(this.cacheDir, `${key}.json`);
+    async getEntry(method, apiPath, params) {
+        const key = this.generateKey(method, apiPath, params);
+        return this.storage.read(key);
+    }
+    
+    /**
+     * Resolve the caching policy for a request
+     */
+    policyFor(method, apiPath) {
+        const pathname = apiPath.split('?')[0];
+        const rule = this.rules.find(r =>
+            (r.method === '*' || r.method === method) && r.regex.test(pathname));
         
-        try {
-            const data = await fs.readFile(filePath, 'utf8');
-            const cached = JSON.parse(data);
-            
-            // Check if expired
-            if (Date.now() - cached.timestamp > this.ttl) {
-                await this.delete(key);
-                this.stats.misses++;
-                return null;
-            }
-            
-            this.stats.hits++;
-            console.log(`💾 Cache hit: ${method} ${path}`);
-            return cached.data;
-            
-        } catch (error) {
+        if (!rule) {
+            return { cache: method === 'GET', ttl: this.ttl, immutable: false };
+        }
+        return {
+            cache: rule.cache !== false,
+            ttl: rule.ttl || this.ttl,
+            immutable: rule.immutable === true
+        };
+    }
+    
+    /**
+     * Check whether a request may be cached at all
+     */
+    isCacheable(method, apiPath) {
+        return this.policyFor(method, apiPath).cache;
+    }
+    
+    /**
+     * Classify an entry by age: 'fresh', 'stale' (serve while revalidating),
+     * 'grace' (serve only if the refresh fails) or 'expired'
+     */
+    freshness(entry) {
+        const policy = this.policyFor(entry.method, entry.path);
+        if (policy.immutable) return 'fresh';
+        
+        const age = Date.now() - entry.timestamp;
+        if (age <= policy.ttl) return 'fresh';
+        if (age <= policy.ttl + this.staleWhileRevalidate) return 'stale';
+        if (age <= policy.ttl + this.staleIfError) return 'grace';
+        return 'expired';
+    }
+    
+    /**
+     * Check whether an entry is still within its TTL
+     */
+    isFresh(entry) {
+        return this.freshness(entry) === 'fresh';
+    }
+    
+    /**
+     * Read an entry that is still usable in some form, dropping it once
+     * it is past every grace window
+     */
+    async lookup(method, apiPath, params) {
+        const entry = await this.getEntry(method, apiPath, params);
+        if (!entry) return null;
+        
+        const freshness = this.freshness(entry);
+        if (freshness === 'expired') {
+            await this.delete(entry.key);
+            return null;
+        }
+        return { entry, freshness };
+    }
+    
+    /**
+     * Get from cache (fresh entries only)
+     */
+    async get(method, apiPath, params) {
+        const cached = await this.lookup(method, apiPath, params);
+        
+        if (!cached || cached.freshness !== 'fresh') {
             this.stats.misses++;
             return null;
         }
+        
+        await this.recordHit(cached.entry);
+        return cached.entry.data;
+    }
+    
+    /**
+     * Count a request answered from the cache and bump its recency
+     * Recency is kept in memory so a hit never waits on the index lock
+     */
+    async recordHit(entry) {
+        this.stats.hits++;
+        console.log(`💾 Cache hit: ${entry.method} ${entry.path}`);
+        
+        if (this.index[entry.key]) {
+            this.pendingAccess.set(entry.key, Date.now());
+            this.scheduleAccessFlush();
+        }
+    }
+    
+    scheduleAccessFlush() {
+        if (this.accessFlushTimer) return;
+        this.accessFlushTimer = setTimeout(() => {
+            this.flushAccess().catch(error => console.error('Cache access flush error:', error.message));
+        }, this.accessFlushInterval);
+        this.accessFlushTimer.unref();
+    }
+    
+    /**
+     * Write pending access times to storage in one index update
+     */
+    async flushAccess() {
+        clearTimeout(this.accessFlushTimer);
+        this.accessFlushTimer = null;
+        if (this.pendingAccess.size === 0) return;
+        
+        const accessed = Object.fromEntries(this.pendingAccess);
+        this.pendingAccess.clear();
+        this.index = await this.storage.touch(accessed);
+    }
+    
+    /**
+     * Flush pending access times, for owners shutting down
+     */
+    async close() {
+        await this.flushAccess();
+    }
+    
+    /**
+     * Last access time of an entry, including hits not yet flushed
+     */
+    lastUsed(key, info) {
+        return this.pendingAccess.get(key) || info.accessed || info.timestamp;
+    }
+    
+    /**
+     * Count a stale entry served while a refresh runs in the background
+     */
+    async recordStaleHit(entry) {
+        this.stats.staleHits++;
+        await this.recordHit(entry);
+    }
+    
+    /**
+     * Count a stale entry served because its refresh failed
+     */
+    recordStaleOnError(entry, error) {
+        this.stats.staleOnError++;
+        console.log(`⚠️  Serving stale ${entry.method} ${entry.path}: ${error.message}`);
+    }
+    
+    /**
+     * Count a request that had to go to the network
+     */
+    recordMiss() {
+        this.stats.misses++;
+    }
+    
+    /**
+     * Build conditional request headers for a stored entry
+     */
+    conditionalHeaders(entry) {
+        const headers = {};
+        if (entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        
+        if (Object.keys(headers).length > 0) {
+            this.stats.revalidations++;
+        }
+        return headers;
+    }
+    
+    /**
+     * Mark an entry as revalidated after a 304 Not Modified response
+     */
+    async revalidated(entry) {
+        this.stats.notModified++;
+        this.stats.hits++;
+        console.log(`💾 Cache revalidated: ${entry.method} ${entry.path}`);
+        await this.set(entry.method, entry.path, entry.params, entry.data, {
+            etag: entry.etag,
+            lastModified: entry.lastModified,
+            link: entry.link
+        });
+    }
+    
+    /**
+     * Response headers kept with an entry, for callers that need them on a hit
+     */
+    responseHeaders(entry) {
+        const headers = {};
+        if (entry.etag) headers['etag'] = entry.etag;
+        if (entry.lastModified) headers['last-modified'] = entry.lastModified;
+        if (entry.link) headers['link'] = entry.link;
+        return headers;
     }
     
     /**
      * Save to cache
      */
-    async set(method, path, params, data) {
-        const key = this.generateKey(method, path, params);
-        const filePath = path.join(this.cacheDir, `${key}.json`);
+    async set(method, apiPath, params, data, meta = {}) {
+        if (!this.isCacheable(method, apiPath)) return;
+        
+        const key = this.generateKey(method, apiPath, params);
         
         const cacheEntry = {
             key,
             method,
-            path,
+            path: apiPath,
             params,
             data,
+            etag: meta.etag || null,
+            lastModified: meta.lastModified || null,
+            link: meta.link || null,
             timestamp: Date.now()
         };
         
+        const size = Buffer.byteLength(JSON.stringify(cacheEntry));
+        if (size > this.maxBytes) {
+            console.log(`⚠️  Not caching ${method} ${apiPath}: ${size} bytes exceeds cache budget`);
+            return;
+        }
+        
         try {
-            await fs.writeFile(filePath, JSON.stringify(cacheEntry, null, 2));
+            this.index = await this.storage.write(key, cacheEntry, {
+                method,
+                path: apiPath,
+                timestamp: cacheEntry.timestamp,
+                accessed: cacheEntry.timestamp,
+                size,
+                tags: tagsFor(apiPath)
+            });
             this.stats.writes++;
             
-            // Update index
-            await this.updateIndex(key, { method, path, timestamp: cacheEntry.timestamp });
-            
             // Check cache size
             await this.evictIfNeeded();
             
@@ -101,88 +374,175 @@ class GitHubCache {
      * Delete from cache
      */
     async delete(key) {
-        const filePath = path.join(this.cacheDir, `${key}.json`);
-        try {
-            await fs.unlink(filePath);
-            await this.removeFromIndex(key);
-        } catch (error) {
-            // File doesn't exist
-        }
+        this.index = await this.storage.remove(key);
     }
     
     /**
-     * Clear entire cache
+     * Invalidate entries by repo and path prefix, or by path pattern
+     * With a pathPrefix, parent directory listings and the repo's refs go too
      */
-    async clear() {
-        try {
-            const files = await fs.readdir(this.cacheDir);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    await fs.unlink(path.join(this.cacheDir, file));
+    async invalidate({ repo, pathPrefix, pattern } = {}) {
+        const regex = pattern ? compilePattern(pattern) : null;
+        const prefix = pathPrefix ? pathPrefix.replace(/^\/+|\/+$/g, '') : null;
+        const removed = [];
+        
+        for (const [key, info] of Object.entries(this.index)) {
+            if (regex) {
+                if (regex.test(info.path) || regex.test(info.path.split('?')[0])) {
+                    removed.push(key);
                 }
+                continue;
             }
-            await this.saveIndex({});
-            console.log('🧹 Cache cleared');
-        } catch (error) {
-            console.error('Cache clear error:', error.message);
+            
+            const tags = info.tags || tagsFor(info.path);
+            if (!tags.includes(`repo:${repo}`)) continue;
+            
+            // Immutable objects can't go stale
+            if (this.policyFor(info.method, info.path).immutable) continue;
+            
+            if (prefix === null || tags.includes(`refs:${repo}`)) {
+                removed.push(key);
+                continue;
+            }
+            
+            const contentsTag = tags.find(tag => tag.startsWith(`contents:${repo}:`));
+            if (!contentsTag) continue;
+            
+            const filePath = contentsTag.slice(`contents:${repo}:`.length);
+            const isChild = filePath === prefix || filePath.startsWith(`${prefix}/`);
+            const isParent = filePath === '' || prefix.startsWith(`${filePath}/`);
+            if (isChild || isParent) {
+                removed.push(key);
+            }
+        }
+        
+        for (const key of removed) {
+            await this.delete(key);
         }
+        if (removed.length > 0) {
+            console.log(`🧹 Invalidated ${removed.length} cache entries`);
+        }
+        return removed.length;
     }
     
     /**
-     * Load cache index
+     * Invalidate whatever a successful mutating request may have made stale
      */
-    async loadIndex() {
-        const indexPath = path.join(this.cacheDir, 'index.json');
-        try {
-            const data = await fs.readFile(indexPath, 'utf8');
-            this.index = JSON.parse(data);
-        } catch (error) {
-            this.index = {};
+    async invalidateForMutation(method, apiPath) {
+        const parsed = parseRepoPath(apiPath);
+        if (!parsed) return 0;
+        
+        // Creating git objects doesn't change anything already readable
+        if (method === 'POST' && /^\/git\/(blobs|trees|commits)$/.test(parsed.rest)) {
+            return 0;
+        }
+        
+        const filePath = contentsPath(parsed.rest);
+        if (filePath !== null) {
+            return this.invalidate({ repo: parsed.repo, pathPrefix: filePath });
         }
+        return this.invalidate({ repo: parsed.repo });
     }
     
     /**
-     * Save cache index
+     * Compare stored entries against the index
+     * With fix, dangling index records and unindexed or corrupt entries are removed
      */
-    async saveIndex(index = this.index) {
-        const indexPath = path.join(this.cacheDir, 'index.json');
-        await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
+    async verify({ fix = false } = {}) {
+        const stored = new Set(await this.storage.keys());
+        const report = { checked: 0, missing: [], orphaned: [], corrupt: [] };
+        
+        for (const key of Object.keys(this.index)) {
+            report.checked++;
+            if (!stored.has(key)) {
+                report.missing.push(key);
+            } else if (!await this.storage.read(key)) {
+                report.corrupt.push(key);
+            }
+        }
+        for (const key of stored) {
+            if (!this.index[key]) report.orphaned.push(key);
+        }
+        
+        if (fix) {
+            for (const key of [...report.missing, ...report.orphaned, ...report.corrupt]) {
+                await this.delete(key);
+            }
+        }
+        
+        report.ok = report.missing.length + report.orphaned.length + report.corrupt.length === 0;
+        return report;
+    }
+    
+    /**
+     * Drop entries past every grace window and let the backend reclaim space
+     */
+    async compact() {
+        let removed = 0;
+        for (const [key, info] of Object.entries(this.index)) {
+            if (this.freshness(info) === 'expired') {
+                await this.delete(key);
+                removed++;
+            }
+        }
+        
+        await this.storage.compact();
+        return { removed, entries: Object.keys(this.index).length, bytes: this.totalBytes() };
+    }
+    
+    /**
+     * Clear entire cache
+     */
+    async clear() {
+        try {
+            this.index = await this.storage.clear();
+            console.log('🧹 Cache cleared');
+        } catch (error) {
+            console.error('Cache clear error:', error.message);
+        }
     }
     
     /**
-     * Update index entry
+     * Load cache index
      */
-    async updateIndex(key, info) {
-        this.index[key] = info;
-        await this.saveIndex();
+    async loadIndex() {
+        this.index = await this.storage.readIndex();
     }
     
     /**
-     * Remove from index
+     * Total size in bytes of all indexed entries
      */
-    async removeFromIndex(key) {
-        delete this.index[key];
-        await this.saveIndex();
+    totalBytes() {
+        return Object.values(this.index).reduce((sum, info) => sum + (info.size || 0), 0);
     }
     
     /**
-     * Evict old entries if cache is full
+     * Evict least recently used entries while over the entry or byte limit
      */
     async evictIfNeeded() {
         const entries = Object.entries(this.index);
-        if (entries.length <= this.maxSize) return;
+        let count = entries.length;
+        let bytes = this.totalBytes();
+        if (count <= this.maxSize && bytes <= this.maxBytes) return;
         
-        // Sort by timestamp (oldest first)
-        entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+        // Sort by last access (least recent first)
+        entries.sort((a, b) => this.lastUsed(...a) - this.lastUsed(...b));
         
-        // Evict oldest entries
-        const toEvict = entries.slice(0, entries.length - this.maxSize);
-        for (const [key] of toEvict) {
+        let evicted = 0;
+        let reclaimed = 0;
+        for (const [key, info] of entries) {
+            if (count <= this.maxSize && bytes <= this.maxBytes) break;
+            
             await this.delete(key);
-            this.stats.evictions++;
+            count--;
+            bytes -= info.size || 0;
+            evicted++;
+            reclaimed += info.size || 0;
         }
         
-        console.log(`🗑️  Evicted ${toEvict.length} old cache entries`);
+        this.stats.evictions += evicted;
+        this.stats.bytesEvicted += reclaimed;
+        console.log(`🗑️  Evicted ${evicted} cache entries (${(reclaimed / 1024).toFixed(1)}KB)`);
     }
     
     /**
@@ -200,28 +560,119 @@ class GitHubCache {
             misses: this.stats.misses,
             writes: this.stats.writes,
             evictions: this.stats.evictions,
+            bytesEvicted: this.stats.bytesEvicted,
+            revalidations: this.stats.revalidations,
+            notModified: this.stats.notModified,
+            staleHits: this.stats.staleHits,
+            staleOnError: this.stats.staleOnError,
             hitRate: `${hitRate}%`,
-            sizeLimit: this.maxSize
+            sizeLimit: this.maxSize,
+            bytes: this.totalBytes(),
+            byteLimit: this.maxBytes
         };
     }
     
     /**
-     * Cache warming - preload common requests
+     * Cache warming - preload endpoints from a manifest (or a plain endpoint list)
+     * Higher priority endpoints go first; warming stops once the client's
+     * remaining rate limit drops below minRateLimitRemaining.
+     * Entries past their TTL are revalidated and reported as revalidated, not warmed.
+     * The client must be constructed with this cache for the responses to be stored
      */
-    async warmCache(client, endpoints) {
-        console.log('🔥 Warming cache...');
-        
-        for (const endpoint of endpoints) {
-            try {
-                await client.request('GET', endpoint);
-                console.log(`   ✅ Cached: ${endpoint}`);
-            } catch (error) {
-                console.log(`   ❌ Failed: ${endpoint}`);
+    async warmCache(client, manifest, options = {}) {
+        const plan = Array.isArray(manifest) ? { endpoints: manifest } : manifest;
+        const concurrency = options.concurrency || plan.concurrency || 1;
+        const minRemaining = options.minRateLimitRemaining ?? plan.minRateLimitRemaining ?? 0;
+        const endpoints = expandManifest(plan);
+        const report = { warmed: [], revalidated: [], fresh: [], deferred: [], skipped: [], failed: [] };
+        
+        console.log(`🔥 Warming cache: ${endpoints.length} endpoints, concurrency ${concurrency}`);
+        
+        // Seed the budget; /rate_limit itself doesn't count against it
+        if (minRemaining > 0 && client.rateLimitRemaining === null) {
+            await client.getRateLimit().catch(() => {});
+        }
+        
+        let next = 0;
+        let outOfBudget = false;
+        const worker = async () => {
+            while (next < endpoints.length) {
+                const endpoint = endpoints[next++].path;
+                
+                if (outOfBudget || (client.rateLimitRemaining !== null && client.rateLimitRemaining < minRemaining)) {
+                    outOfBudget = true;
+                    report.deferred.push(endpoint);
+                    continue;
+                }
+                
+                if (!this.isCacheable('GET', endpoint)) {
+                    console.log(`   ⏭️  Not cacheable: ${endpoint}`);
+                    report.skipped.push(endpoint);
+                    continue;
+                }
+                
+                const cached = await this.getEntry('GET', endpoint);
+                if (cached && this.isFresh(cached)) {
+                    report.fresh.push(endpoint);
+                    continue;
+                }
+                
+                try {
+                    // Revalidate directly: a normal request would just serve a stale entry
+                    const response = await client.revalidate('GET', endpoint, cached);
+                    if (response.freshness === 'revalidated') {
+                        console.log(`   ♻️  Revalidated: ${endpoint}`);
+                        report.revalidated.push(endpoint);
+                    } else {
+                        console.log(`   ✅ Cached: ${endpoint}`);
+                        report.warmed.push(endpoint);
+                    }
+                } catch (error) {
+                    console.log(`   ❌ Failed: ${endpoint} (${error.message})`);
+                    report.failed.push({ endpoint, error: error.message });
+                }
             }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrency, endpoints.length) }, worker));
+        
+        if (report.deferred.length > 0) {
+            console.log(`⏸️  Deferred ${report.deferred.length} endpoints: rate limit below ${minRemaining}`);
         }
+        console.log(`✅ Cache warming complete: ${report.warmed.length} warmed, ${report.revalidated.length} revalidated, ` +
+            `${report.fresh.length} still fresh, ${report.deferred.length} deferred, ${report.failed.length} failed`);
+        return report;
+    }
+}
+
+/**
+ * Expand a warming manifest into a priority-ordered endpoint list
+ * Templates containing {owner} or {repo} are expanded over manifest.repos
+ */
+function expandManifest(manifest) {
+    const repos = manifest.repos || [];
+    const seen = new Set();
+    const endpoints = [];
+    
+    for (const item of manifest.endpoints || []) {
+        const template = typeof item === 'string' ? { path: item } : item;
+        const priority = template.priority || 0;
+        const targets = /\{(owner|repo)\}/.test(template.path)
+            ? repos.map(fullName => {
+                const [owner, repo] = fullName.split('/');
+                return template.path.replace(/\{owner\}/g, owner).replace(/\{repo\}/g, repo);
+            })
+            : [template.path];
         
-        console.log('✅ Cache warming complete');
+        for (const target of targets) {
+            if (seen.has(target)) continue;
+            seen.add(target);
+            endpoints.push({ path: target, priority });
+        }
     }
+    
+    // Array.prototype.sort is stable, so manifest order breaks ties
+    return endpoints.sort((a, b) => b.priority - a.priority);
 }
 
 // Integration test
@@ -254,15 +705,196 @@ async function testCache() {
     }
     const finalStats = cache.getStats();
     console.log(`   Entries after eviction: ${finalStats.entries}/${finalStats.sizeLimit}`);
-    console.log(`   Evictions: ${finalStats.evictions}`);
+    console.log(`   Evictions: ${finalStats.evictions} (${finalStats.bytesEvicted} bytes)`);
     
     console.log('\n✅ Cache test complete!');
 }
 
+/**
+ * Split CLI arguments into positionals and --flags
+ */
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const next = args[i + 1];
+            if (next !== undefined && !next.startsWith('--')) {
+                flags[name] = next;
+                i++;
+            } else {
+                flags[name] = true;
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Format an age in milliseconds for listings
+ */
+function formatAge(ms) {
+    if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+    return `${(ms / 3600000).toFixed(1)}h`;
+}
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+    console.log('Commands:');
+    console.log('  list [--method M] [--path glob]      - List cached entries');
+    console.log('  show <key|path>                      - Show one entry');
+    console.log('  purge <pattern>                      - Remove entries whose path matches');
+    console.log('  invalidate --repo <owner/repo> [--path <prefix>]');
+    console.log('                                       - Invalidate a repo or path prefix');
+    console.log('  stats [--json]                       - Show cache statistics');
+    console.log('  verify [--fix]                       - Check entry files against the index');
+    console.log('  compact                              - Drop expired entries and reclaim space');
+    console.log('  warm [manifest.json] [--concurrency N] [--min-remaining N] [--json]');
+    console.log('                                       - Preload endpoints from a manifest');
+    console.log('  test                                 - Run the cache self-test');
+    console.log('\nOptions:');
+    console.log('  --dir <path>        Cache directory (default .github-cache)');
+    console.log('  --storage <type>    directory, log or memory');
+    console.log('\nExamples:');
+    console.log('  node github-cache.js list --path "/repos/garmir/*"');
+    console.log('  node github-cache.js purge "/repos/garmir/0xANATHEMA/contents/*"');
+    console.log('  node github-cache.js verify --fix');
+}
+
+// CLI interface
+async function main() {
+    const command = process.argv[2];
+    const { positional, flags } = parseArgs(process.argv.slice(3));
+    
+    if (command === 'test') {
+        await testCache();
+        return;
+    }
+    
+    const commands = ['list', 'show', 'purge', 'invalidate', 'stats', 'verify', 'compact', 'warm'];
+    if (!commands.includes(command)) {
+        printUsage();
+        return;
+    }
+    
+    const cache = new GitHubCache({ cacheDir: flags.dir, storage: flags.storage });
+    await cache.init();
+    
+    if (command === 'list') {
+        const regex = flags.path ? compilePattern(flags.path) : null;
+        const entries = Object.entries(cache.index)
+            .filter(([, info]) => !flags.method || info.method === flags.method.toUpperCase())
+            .filter(([, info]) => !regex || regex.test(info.path) || regex.test(info.path.split('?')[0]))
+            .sort((a, b) => (b[1].accessed || b[1].timestamp) - (a[1].accessed || a[1].timestamp));
+        
+        for (const [key, info] of entries) {
+            const age = formatAge(Date.now() - info.timestamp);
+            const size = `${((info.size || 0) / 1024).toFixed(1)}KB`;
+            console.log(`${key.slice(0, 8)}  ${info.method.padEnd(6)} ${cache.freshness(info).padEnd(7)} ${age.padStart(6)} ${size.padStart(9)}  ${info.path}`);
+        }
+        console.log(`\n${entries.length} entries`);
+        
+    } else if (command === 'show') {
+        const target = positional[0];
+        if (!target) {
+            console.log('Usage: node github-cache.js show <key|path>');
+            return;
+        }
+        
+        const key = cache.index[target] ? target : Object.keys(cache.index).find(k =>
+            k.startsWith(target) || cache.index[k].path === target);
+        const entry = key ? await cache.storage.read(key) : null;
+        if (!entry) {
+            console.log(`❌ No cache entry for ${target}`);
+            process.exitCode = 1;
+            return;
+        }
+        
+        console.log(JSON.stringify({
+            ...entry,
+            freshness: cache.freshness(entry),
+            age: formatAge(Date.now() - entry.timestamp),
+            index: cache.index[key]
+        }, null, 2));
+        
+    } else if (command === 'purge' || command === 'invalidate') {
+        const repo = command === 'invalidate' ? flags.repo : undefined;
+        const pattern = repo ? undefined : positional[0];
+        if (!repo && !pattern) {
+            console.log('Usage: node github-cache.js purge <pattern>');
+            console.log('       node github-cache.js invalidate --repo <owner/repo> [--path <prefix>]');
+            return;
+        }
+        
+        const count = await cache.invalidate({ repo, pathPrefix: flags.path, pattern });
+        console.log(`✅ ${count} entries removed`);
+        
+    } else if (command === 'stats') {
+        const freshness = {};
+        for (const info of Object.values(cache.index)) {
+            const state = cache.freshness(info);
+            freshness[state] = (freshness[state] || 0) + 1;
+        }
+        const stats = { ...cache.getStats(), freshness };
+        
+        if (flags.json) {
+            console.log(JSON.stringify(stats, null, 2));
+        } else {
+            console.log('📊 Cache Statistics:');
+            Object.entries(stats).forEach(([key, value]) => {
+                console.log(`   ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+            });
+        }
+        
+    } else if (command === 'verify') {
+        const report = await cache.verify({ fix: flags.fix === true });
+        console.log(`🔍 Checked ${report.checked} index entries`);
+        console.log(`   Missing entry files: ${report.missing.length}`);
+        console.log(`   Unindexed entries: ${report.orphaned.length}`);
+        console.log(`   Corrupt entries: ${report.corrupt.length}`);
+        
+        if (report.ok) {
+            console.log('✅ Cache is consistent');
+        } else if (flags.fix) {
+            console.log('🔧 Removed inconsistent entries');
+        } else {
+            console.log('❌ Cache is inconsistent, run with --fix to repair');
+            process.exitCode = 1;
+        }
+        
+    } else if (command === 'compact') {
+        const result = await cache.compact();
+        console.log(`✅ Compacted: ${result.removed} expired entries removed`);
+        console.log(`   ${result.entries} entries, ${(result.bytes / 1024).toFixed(1)}KB`);
+        
+    } else if (command === 'warm') {
+        const manifestPath = positional[0] || path.join(__dirname, 'cache-warm-manifest.json');
+        const manifest = JSON.parse(await require('fs').promises.readFile(manifestPath, 'utf8'));
+        
+        const { GitHubOAuthClient } = require('./github-oauth-client.js');
+        const client = new GitHubOAuthClient({ cache });
+        const report = await cache.warmCache(client, manifest, {
+            concurrency: flags.concurrency ? parseInt(flags.concurrency) : undefined,
+            minRateLimitRemaining: flags['min-remaining'] ? parseInt(flags['min-remaining']) : undefined
+        });
+        
+        if (flags.json) {
+            console.log(JSON.stringify(report, null, 2));
+        }
+        if (report.failed.length > 0) process.exitCode = 1;
+    }
+}
+
 // Export for use in other modules
-module.exports = { GitHubCache };
+module.exports = { GitHubCache, DEFAULT_RULES, expandManifest, parseArgs };
 
-// Run test if called directly
+// Run CLI if called directly
 if (require.main === module) {
-    testCache();
+    main().catch(console.error);
 }
\ No newline at end of file
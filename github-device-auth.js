@@ -0,0 +1,175 @@
+/**
+ * OAuth device flow login for HEAD-CRAB
+ * Runs GitHub's device authorization flow for the configured OAuth App and
+ * keeps the resulting token in a per-user credentials file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Per-user credentials file, readable only by its owner
+ */
+class CredentialStore {
+    constructor(options = {}) {
+        this.file = options.credentialsFile || process.env.HEADCRAB_CREDENTIALS ||
+            path.join(os.homedir(), '.head-crab', 'credentials.json');
+    }
+
+    /**
+     * Read stored credentials, or null when none are saved
+     * Synchronous so clients can pick the token up in their constructor
+     */
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getToken() {
+        const credentials = this.load();
+        return credentials ? credentials.token : null;
+    }
+
+    async save(credentials) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+        await fs.promises.writeFile(this.file, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+        // writeFile only applies mode to new files
+        await fs.promises.chmod(this.file, 0o600);
+    }
+
+    async clear() {
+        try {
+            await fs.promises.unlink(this.file);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * POST a form to the OAuth endpoints and parse the JSON reply
+ */
+function postForm(url, form) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const payload = new URLSearchParams(form).toString();
+        const transport = target.protocol === 'http:' ? http : https;
+
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'User-Agent': 'HEAD-CRAB-OAuth',
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(payload)
+            }
+        }, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                try {
+                    const result = JSON.parse(body);
+                    if (res.statusCode >= 400) {
+                        reject(new Error(`OAuth error: ${res.statusCode} - ${result.error_description || result.error || body}`));
+                    } else {
+                        resolve(result);
+                    }
+                } catch (e) {
+                    reject(new Error(`OAuth error: ${res.statusCode} - ${body}`));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * GitHub OAuth device authorization flow
+ */
+class DeviceFlow {
+    constructor(options = {}) {
+        this.clientId = options.clientId || process.env.GITHUB_CLIENT_ID;
+        this.scope = options.scope || 'repo workflow';
+        this.baseUrl = (options.oauthBaseUrl || process.env.GITHUB_OAUTH_URL || 'https://github.com').replace(/\/+$/, '');
+    }
+
+    /**
+     * Request a device and user code
+     */
+    async requestCode() {
+        return postForm(`${this.baseUrl}/login/device/code`, {
+            client_id: this.clientId,
+            scope: this.scope
+        });
+    }
+
+    /**
+     * Poll until the user approves the code, honouring slow_down
+     */
+    async pollForToken(code) {
+        let interval = (code.interval || 5) * 1000;
+        const deadline = Date.now() + (code.expires_in || 900) * 1000;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+
+            const result = await postForm(`${this.baseUrl}/login/oauth/access_token`, {
+                client_id: this.clientId,
+                device_code: code.device_code,
+                grant_type: DEVICE_GRANT_TYPE
+            });
+
+            if (result.access_token) return result;
+
+            switch (result.error) {
+                case 'authorization_pending':
+                    break;
+                case 'slow_down':
+                    interval = (result.interval || interval / 1000 + 5) * 1000;
+                    break;
+                case 'expired_token':
+                    throw new Error('Device code expired, run login again');
+                case 'access_denied':
+                    throw new Error('Authorization was denied');
+                default:
+                    throw new Error(`OAuth error: ${result.error_description || result.error}`);
+            }
+        }
+
+        throw new Error('Device code expired, run login again');
+    }
+
+    /**
+     * Run the whole flow; onCode receives the code to show the user
+     */
+    async login(onCode) {
+        if (!this.clientId) {
+            throw new Error('Missing GITHUB_CLIENT_ID for device flow login');
+        }
+
+        const code = await this.requestCode();
+        await onCode(code);
+        const token = await this.pollForToken(code);
+
+        return {
+            token: token.access_token,
+            tokenType: token.token_type,
+            scope: token.scope,
+            createdAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = { CredentialStore, DeviceFlow };
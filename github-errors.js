@@ -0,0 +1,125 @@
+/**
+ * Error types for the HEAD-CRAB GitHub client
+ * Callers branch on the class (or status) instead of parsing messages
+ */
+
+/**
+ * A request GitHub answered with an error
+ * Carries the response status, the x-github-request-id to quote to GitHub
+ * support, the documentation_url from the body and the parsed body itself
+ */
+class GitHubApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status ?? null;
+        this.method = details.method || null;
+        this.path = details.path || null;
+        this.requestId = details.requestId || null;
+        this.documentationUrl = details.documentationUrl || null;
+        this.body = details.body ?? null;
+    }
+}
+
+// 401: missing, expired or revoked credentials
+class UnauthorizedError extends GitHubApiError {}
+
+// 403 that isn't a rate limit: missing scope or permission
+class ForbiddenError extends GitHubApiError {}
+
+// 404, which GitHub also returns for private resources the token can't see
+class NotFoundError extends GitHubApiError {}
+
+// 409: e.g. an empty repository or a stale sha
+class ConflictError extends GitHubApiError {}
+
+/**
+ * 422: the request was understood but rejected, details in errors
+ */
+class ValidationError extends GitHubApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = (details.body && details.body.errors) || [];
+    }
+}
+
+/**
+ * Primary or secondary rate limit still hit after the retry policy gave up
+ */
+class RateLimitedError extends GitHubApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.rateLimited = true;
+        this.category = details.category || null; // 'primary' or 'secondary'
+        this.retryAfter = details.retryAfter ?? null; // Seconds
+        this.reset = details.reset ?? null; // Epoch seconds
+    }
+}
+
+// 5xx
+class ServerError extends GitHubApiError {}
+
+/**
+ * A GraphQL response that carried an errors array
+ * data holds whatever part of the query did resolve
+ */
+class GraphQLError extends GitHubApiError {
+    constructor(errors, data = null, details = {}) {
+        super(`GraphQL error: ${errors.map(error => error.message).join('; ')}`, details);
+        this.errors = errors;
+        this.data = data;
+        // e.g. NOT_FOUND, FORBIDDEN, RATE_LIMITED
+        this.type = (errors[0] && errors[0].type) || null;
+        if (this.type === 'RATE_LIMITED') this.rateLimited = true;
+    }
+}
+
+/**
+ * Build the error matching a failed response
+ * category is the retry policy's classification, which tells rate-limit
+ * 403s apart from permission ones
+ */
+function createApiError(response, { method, path, category, message } = {}) {
+    const { status, headers = {}, data = {} } = response;
+    const details = {
+        status,
+        method,
+        path,
+        requestId: headers['x-github-request-id'],
+        documentationUrl: data.documentation_url,
+        body: data
+    };
+    message = message || `GitHub API error: ${status} - ${data.message || JSON.stringify(data)}`;
+
+    if (category === 'primary' || category === 'secondary') {
+        return new RateLimitedError(message, {
+            ...details,
+            category,
+            retryAfter: headers['retry-after'] !== undefined ? parseInt(headers['retry-after']) : null,
+            reset: headers['x-ratelimit-reset'] !== undefined ? parseInt(headers['x-ratelimit-reset']) : null
+        });
+    }
+
+    switch (status) {
+        case 401: return new UnauthorizedError(message, details);
+        case 403: return new ForbiddenError(message, details);
+        case 404: return new NotFoundError(message, details);
+        case 409: return new ConflictError(message, details);
+        case 422: return new ValidationError(message, details);
+    }
+    if (status >= 500) return new ServerError(message, details);
+    return new GitHubApiError(message, details);
+}
+
+module.exports = {
+    GitHubApiError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    RateLimitedError,
+    ServerError,
+    GraphQLError,
+    createApiError
+};
@@ -5,117 +5,721 @@
  * Simpler authentication using OAuth tokens
  */
 
-const https = require('https');
 const fs = require('fs').promises;
 const { RateLimiter } = require('./rate-limiter.js');
+const { GitHubCache } = require('./github-cache.js');
+const { GitHubAppAuth } = require('./github-app-auth.js');
+const { CredentialStore, DeviceFlow } = require('./github-device-auth.js');
+const { RetryPolicy } = require('./github-retry-policy.js');
+const {
+    GitHubApiError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    RateLimitedError,
+    ServerError,
+    GraphQLError,
+    createApiError
+} = require('./github-errors.js');
+const { Transport, abortError } = require('./github-transport.js');
+const { syncDirectory, planSync, printPlan, applyPlan, pullDirectory, syncBidirectional } = require('./github-sync.js');
+
+// Only safe, idempotent requests may share a response
+const COALESCED_METHODS = new Set(['GET', 'HEAD']);
+
+// Requests that can change what later reads return
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Larger files are committed through the Blobs API, which accepts up to 100MB
+const CONTENTS_API_MAX_SIZE = 1024 * 1024;
+
+/**
+ * Contents API path reading from a branch, or the default branch without one
+ */
+function contentsRef(apiPath, branch) {
+    return branch ? `${apiPath}?ref=${encodeURIComponent(branch)}` : apiPath;
+}
+
+/**
+ * Size of an upload; files may leave their content to file.read(), which is
+ * only called when the file is sent, and give file.size instead
+ */
+function uploadSize(file) {
+    return file.content === undefined ? file.size : Buffer.byteLength(file.content);
+}
+
+async function uploadContent(file) {
+    return file.content === undefined ? file.read() : file.content;
+}
+
+/**
+ * Items of a list response: the array itself, or the first array property
+ * of wrapped responses such as { total_count, workflow_runs: [...] }
+ */
+function extractItems(data) {
+    if (Array.isArray(data)) return data;
+    const list = Object.values(data || {}).find(value => Array.isArray(value));
+    return list || [];
+}
+
+/**
+ * Path and query of the rel="next" URL in a Link header, or null
+ * basePath (e.g. /api/v3 on GitHub Enterprise) is stripped, as the transport adds it back
+ */
+function parseNextLink(header, basePath = '') {
+    if (!header) return null;
+    for (const part of header.split(',')) {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+        if (match) {
+            const url = new URL(match[1]);
+            const pathname = basePath && url.pathname.startsWith(`${basePath}/`)
+                ? url.pathname.slice(basePath.length)
+                : url.pathname;
+            return pathname + url.search;
+        }
+    }
+    return null;
+}
+
+/**
+ * The connection at a dotted path such as 'repository.issues', or the
+ * first object with pageInfo found in the response
+ */
+function findConnection(data, connectionPath) {
+    if (connectionPath) {
+        return connectionPath.split('.').reduce((value, key) => value ? value[key] : null, data);
+    }
+    if (!data || typeof data !== 'object') return null;
+    if (data.pageInfo) return data;
+    for (const value of Object.values(data)) {
+        const connection = findConnection(value);
+        if (connection) return connection;
+    }
+    return null;
+}
 
 class GitHubOAuthClient {
     constructor(options = {}) {
-        this.token = options.token || process.env.GITHUB_TOKEN;
+        // Token from options, then GITHUB_TOKEN, then a stored `login`
+        this.credentialStore = new CredentialStore(options);
+        this.token = options.token || process.env.GITHUB_TOKEN || this.credentialStore.getToken();
+        this.tokenSource = options.token ? 'option'
+            : process.env.GITHUB_TOKEN ? 'env'
+            : this.token ? 'credentials' : null;
         this.clientId = options.clientId || process.env.GITHUB_CLIENT_ID;
         this.clientSecret = options.clientSecret || process.env.GITHUB_CLIENT_SECRET;
         
+        // GitHub App installation auth when the app settings are configured
+        this.appAuth = GitHubAppAuth.isConfigured(options) ? new GitHubAppAuth(options) : null;
+        this.authType = options.authType || this.selectAuthType();
+        
         // Rate limiting configuration
         this.rateLimitRetries = options.rateLimitRetries || 3;
         this.rateLimitDelay = options.rateLimitDelay || 60000;
-        this.backoffMultiplier = options.backoffMultiplier || 2;
+        this.backoffMultiplier = options.backoffMultiplier || parseFloat(process.env.BACKOFF_MULTIPLIER) || 2;
+        
+        // Retry policy for rate limits and transient failures
+        this.retryPolicy = options.retryPolicy instanceof RetryPolicy
+            ? options.retryPolicy
+            : new RetryPolicy({
+                primaryRetries: this.rateLimitRetries,
+                primaryDelay: this.rateLimitDelay,
+                multiplier: this.backoffMultiplier,
+                ...options.retryPolicy
+            });
+        
+        // Base URL, keep-alive connections, proxy and per-request timeout
+        this.transport = options.transport instanceof Transport
+            ? options.transport
+            : new Transport(options);
+        this.totalTimeout = options.totalTimeout || 0; // Across all retries of one request, 0 for none
+        this.signal = options.signal || null; // Aborts every request of this client
+        
+        // Optional GitHubCache for conditional GET requests
+        this.cache = options.cache || null;
+        this.refreshing = new Map();
+        
+        // Single-flight bookkeeping for identical concurrent GETs
+        this.inflight = new Map();
+        this.stats = {
+            requests: 0,
+            coalesced: 0,
+            graphqlRequests: 0,
+            graphqlPoints: 0
+        };
         
         // Rate limit tracking
         this.rateLimitRemaining = null;
         this.rateLimitReset = null;
         this.rateLimitLimit = null;
         
-        // Initialize rate limiter
-        this.rateLimiter = new RateLimiter({
-            maxRequests: 30,
-            windowMs: 60000,
-            cacheTimeout: 300000
-        });
+        // GraphQL has its own budget, counted in points rather than requests
+        this.graphqlRateLimit = {
+            limit: null,
+            remaining: null,
+            reset: null,
+            lastCost: null
+        };
+        
+        // Initialize rate limiter, shared by every process on this machine
+        this.rateLimiter = options.rateLimiter instanceof RateLimiter
+            ? options.rateLimiter
+            : new RateLimiter({
+                maxRequests: 30,
+                windowMs: 60000,
+                cacheTimeout: 300000,
+                ...options.rateLimiter
+            });
     }
 
     /**
-     * Make HTTP request with automatic retry on rate limit
+     * Pick the auth strategy from what is configured
+     * An explicit options.token wins; otherwise app installation tokens do:
+     * higher rate limits and no personal token
      */
-    async request(method, path, data = null, retryCount = 0) {
-        return new Promise((resolve, reject) => {
-            const options = {
-                hostname: 'api.github.com',
-                path: path,
-                method: method,
-                headers: {
-                    'User-Agent': 'HEAD-CRAB-OAuth',
-                    'Accept': 'application/vnd.github+json',
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            };
+    selectAuthType() {
+        if (this.tokenSource === 'option') return 'token';
+        if (this.appAuth) return 'app';
+        if (this.token) return 'token';
+        if (this.clientId && this.clientSecret) return 'basic';
+        return 'none';
+    }
 
-            // Add authentication
-            if (this.token) {
-                options.headers['Authorization'] = `Bearer ${this.token}`;
-            } else if (this.clientId && this.clientSecret) {
+    /**
+     * Authorization header value for the configured strategy
+     */
+    async getAuthorization() {
+        switch (this.authType) {
+            case 'app':
+                return `Bearer ${await this.appAuth.getToken(this)}`;
+            case 'token':
+                return `Bearer ${this.token}`;
+            case 'basic': {
                 // Basic auth for OAuth App
                 const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-                options.headers['Authorization'] = `Basic ${auth}`;
+                return `Basic ${auth}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Make API request and resolve with the response body
+     */
+    async request(method, path, data = null, options = {}) {
+        const response = await this.fetch(method, path, data, options);
+        return response.data;
+    }
+
+    /**
+     * Make API request, resolving with status, headers, data and freshness
+     * ('network', 'fresh', 'stale' or 'revalidated')
+     * Identical in-flight GETs share one underlying request and response;
+     * requests with their own headers or time limits always go alone
+     */
+    async fetch(method, path, data = null, options = {}) {
+        if (!COALESCED_METHODS.has(method) || options.headers ||
+            options.timeout !== undefined || options.totalTimeout !== undefined) {
+            return this.fetchThroughCache(method, path, data, options);
+        }
+
+        const key = [method, path, JSON.stringify(data), options.cache === false].join(':');
+        let inflight = this.inflight.get(key);
+        if (inflight) {
+            this.stats.coalesced++;
+        } else {
+            // The shared request has its own signal, aborted once every waiter has given up
+            const controller = new AbortController();
+            inflight = { key, controller, waiters: 0, settled: false };
+            inflight.promise = this.fetchThroughCache(method, path, data, { ...options, signal: controller.signal })
+                .finally(() => {
+                    inflight.settled = true;
+                    if (this.inflight.get(key) === inflight) this.inflight.delete(key);
+                });
+            this.inflight.set(key, inflight);
+        }
+        return this.joinInflight(inflight, options.signal);
+    }
+
+    /**
+     * Wait on a shared request; an aborted signal rejects only its own caller
+     */
+    joinInflight(inflight, signal) {
+        inflight.waiters++;
+        if (!signal) return inflight.promise;
+
+        const leave = () => {
+            if (--inflight.waiters > 0 || inflight.settled) return;
+            if (this.inflight.get(inflight.key) === inflight) this.inflight.delete(inflight.key);
+            inflight.controller.abort(signal.reason);
+        };
+
+        if (signal.aborted) {
+            leave();
+            inflight.promise.catch(() => {});
+            return Promise.reject(abortError(signal));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                leave();
+                reject(abortError(signal));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            inflight.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Make API request through the cache
+     * Cached GETs are revalidated with If-None-Match / If-Modified-Since
+     */
+    async fetchThroughCache(method, path, data = null, options = {}) {
+        if (!this.cache || method !== 'GET' || options.cache === false ||
+            !this.cache.isCacheable(method, path)) {
+            const response = await this.send(method, path, data, options);
+            if (this.cache && MUTATING_METHODS.has(method)) {
+                await this.cache.invalidateForMutation(method, path);
+            }
+            return { ...response, freshness: 'network' };
+        }
+
+        const cached = await this.cache.lookup(method, path);
+        const entry = cached ? cached.entry : null;
+
+        if (cached && cached.freshness === 'fresh') {
+            await this.cache.recordHit(entry);
+            return { status: 200, headers: this.cache.responseHeaders(entry), data: entry.data, cached: true, freshness: 'fresh' };
+        }
+
+        if (cached && cached.freshness === 'stale') {
+            await this.cache.recordStaleHit(entry);
+            this.refreshInBackground(method, path, entry, options);
+            return { status: 200, headers: this.cache.responseHeaders(entry), data: entry.data, cached: true, freshness: 'stale' };
+        }
+
+        try {
+            return await this.revalidate(method, path, entry, options);
+        } catch (error) {
+            if (entry && this.isTransientError(error)) {
+                this.cache.recordStaleOnError(entry, error);
+                return { status: 200, headers: this.cache.responseHeaders(entry), data: entry.data, cached: true, freshness: 'stale' };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a cacheable GET, conditionally if an entry exists, and store the result
+     */
+    async revalidate(method, path, entry, options = {}) {
+        const conditional = entry ? this.cache.conditionalHeaders(entry) : {};
+        const response = await this.send(method, path, null, {
+            ...options,
+            headers: { ...options.headers, ...conditional }
+        });
+
+        if (response.status === 304 && entry) {
+            await this.cache.revalidated(entry);
+            return {
+                ...response,
+                headers: { ...this.cache.responseHeaders(entry), ...response.headers },
+                data: entry.data,
+                cached: true,
+                freshness: 'revalidated'
+            };
+        }
+
+        this.cache.recordMiss();
+        await this.cache.set(method, path, {}, response.data, {
+            etag: response.headers['etag'],
+            lastModified: response.headers['last-modified'],
+            link: response.headers['link']
+        });
+        return { ...response, freshness: 'network' };
+    }
+
+    /**
+     * Refresh a stale entry without blocking the caller, one refresh per path
+     */
+    refreshInBackground(method, path, entry, options) {
+        const key = `${method}:${path}`;
+        if (this.refreshing.has(key)) return;
+
+        const refresh = this.revalidate(method, path, entry, options)
+            .catch(error => {
+                // The stale entry stays in place for the next caller
+                console.log(`⚠️  Background refresh failed for ${path}: ${error.message}`);
+            })
+            .finally(() => this.refreshing.delete(key));
+        this.refreshing.set(key, refresh);
+    }
+
+    /**
+     * Errors worth serving stale data for: network failures, 5xx and rate limits
+     */
+    isTransientError(error) {
+        if (error instanceof RateLimitedError || error instanceof ServerError) return true;
+        if (error instanceof GitHubApiError) return false;
+        return error.name !== 'AbortError';
+    }
+
+    /**
+     * Make HTTP request, retrying rate limits and transient failures
+     * according to the retry policy
+     * options.timeout limits each attempt, options.totalTimeout the whole
+     * request including retries; options.signal aborts it
+     */
+    async send(method, path, data = null, options = {}) {
+        const started = Date.now();
+        const attempts = {};
+        const totalTimeout = options.totalTimeout ?? this.totalTimeout;
+        const deadline = totalTimeout ? started + totalTimeout : null;
+        const signal = this.combineSignals(options.signal);
+
+        while (true) {
+            let response = null;
+            let error = null;
+            try {
+                const timeout = options.timeout ?? this.transport.timeout;
+                response = await this.sendOnce(method, path, data, {
+                    ...options,
+                    signal,
+                    timeout: deadline ? Math.max(1, Math.min(timeout || Infinity, deadline - Date.now())) : timeout
+                });
+            } catch (e) {
+                error = e;
             }
 
-            if (data) {
-                const payload = JSON.stringify(data);
-                options.headers['Content-Type'] = 'application/json';
-                options.headers['Content-Length'] = Buffer.byteLength(payload);
+            if (response && ((response.status >= 200 && response.status < 300) || response.status === 304)) {
+                return response;
             }
 
-            const req = https.request(options, (res) => {
-                let body = '';
-                
-                // Extract rate limit headers
-                this.rateLimitRemaining = parseInt(res.headers['x-ratelimit-remaining'] || '0');
-                this.rateLimitReset = parseInt(res.headers['x-ratelimit-reset'] || '0');
-                this.rateLimitLimit = parseInt(res.headers['x-ratelimit-limit'] || '0');
-                
-                res.on('data', chunk => body += chunk);
-                res.on('end', async () => {
-                    try {
-                        const result = body ? JSON.parse(body) : {};
-                        
-                        // Handle rate limiting
-                        if (res.statusCode === 403 && res.headers['x-ratelimit-remaining'] === '0') {
-                            if (retryCount < this.rateLimitRetries) {
-                                const resetTime = this.rateLimitReset * 1000;
-                                const now = Date.now();
-                                const waitTime = resetTime > now ? resetTime - now + 1000 : this.rateLimitDelay;
-                                
-                                console.log(`⏳ Rate limited. Waiting ${Math.ceil(waitTime/1000)}s... (attempt ${retryCount + 1}/${this.rateLimitRetries})`);
-                                console.log(`   Reset time: ${new Date(resetTime).toLocaleString()}`);
-                                
-                                await this.sleep(waitTime);
-                                
-                                // Retry the request
-                                return resolve(await this.request(method, path, data, retryCount + 1));
-                            } else {
-                                reject(new Error(`Rate limit exceeded after ${this.rateLimitRetries} retries`));
-                            }
-                        } else if (res.statusCode >= 200 && res.statusCode < 300) {
-                            resolve(result);
-                        } else {
-                            reject(new Error(`GitHub API error: ${res.statusCode} - ${result.message || body}`));
-                        }
-                    } catch (e) {
-                        reject(e);
-                    }
+            const decision = this.retryPolicy.evaluate({
+                method,
+                idempotent: options.idempotent,
+                response,
+                error,
+                attempts,
+                elapsed: Date.now() - started
+            });
+
+            if (!decision.retry) {
+                if (error) throw error;
+                throw this.createError(method, path, response, decision);
+            }
+
+            if (deadline && Date.now() + decision.delay >= deadline) {
+                const timeoutError = new Error(`${method} ${path} did not succeed within ${totalTimeout}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+
+            attempts[decision.category] = decision.attempt;
+            this.logRetry(method, path, decision, response, error);
+            if (this.retryPolicy.onRetry) {
+                await this.retryPolicy.onRetry({
+                    method,
+                    path,
+                    category: decision.category,
+                    attempt: decision.attempt,
+                    delay: decision.delay,
+                    status: response ? response.status : null,
+                    error
                 });
+            }
+            await this.sleep(decision.delay, signal);
+        }
+    }
+
+    /**
+     * One signal that fires when either the client's or the request's does
+     */
+    combineSignals(signal) {
+        if (!signal || !this.signal) return signal || this.signal;
+        if (AbortSignal.any) return AbortSignal.any([this.signal, signal]);
+
+        const controller = new AbortController();
+        for (const source of [this.signal, signal]) {
+            if (source.aborted) {
+                controller.abort(source.reason);
+                break;
+            }
+            source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+        }
+        return controller.signal;
+    }
+
+    /**
+     * Build the typed GitHubApiError for a failed response
+     */
+    createError(method, path, response, decision = {}) {
+        // Mint a fresh installation token on the next request
+        if (response.status === 401 && this.appAuth) {
+            this.appAuth.invalidate();
+        }
+
+        let message;
+        if (decision.category === 'primary' || decision.category === 'secondary') {
+            const wait = Math.ceil(decision.delay / 1000);
+            if (decision.exhausted === 'time') {
+                message = `Rate limit exceeded: waiting ${wait}s would pass the retry time limit`;
+            } else if (decision.exhausted === 'delay') {
+                message = `Rate limit exceeded: GitHub asked to wait ${wait}s, over the ${this.retryPolicy.delayLimitFor(decision.category) / 1000}s retry delay limit`;
+            } else {
+                message = `Rate limit exceeded after ${this.retryPolicy.retriesFor(decision.category)} retries`;
+            }
+        }
+
+        return createApiError(response, { method, path, category: decision.category, message });
+    }
+
+    /**
+     * Log a retry the way each kind of failure deserves
+     */
+    logRetry(method, path, decision, response, error) {
+        const wait = `${Math.ceil(decision.delay / 1000)}s`;
+        const limit = this.retryPolicy.retriesFor(decision.category);
+
+        if (decision.category === 'primary') {
+            console.log(`⏳ Rate limited. Waiting ${wait}... (attempt ${decision.attempt}/${limit})`);
+            console.log(`   Reset time: ${new Date(Date.now() + decision.delay).toLocaleString()}`);
+        } else if (decision.category === 'secondary') {
+            console.log(`⏳ Secondary rate limit on ${method} ${path}. Waiting ${wait}... (attempt ${decision.attempt}/${limit})`);
+        } else {
+            const reason = error ? error.message : `HTTP ${response.status}`;
+            console.log(`🔁 ${method} ${path} failed (${reason}). Retrying in ${wait}... (attempt ${decision.attempt}/${limit})`);
+        }
+    }
+
+    /**
+     * Make a single HTTP request, resolving with any status
+     */
+    async sendOnce(method, path, data = null, options = {}) {
+        const authorization = options.auth === false ? null : await this.getAuthorization();
+
+        // /rate_limit doesn't count against the quota
+        if (path !== '/rate_limit') {
+            await this.rateLimiter.acquire();
+        }
+        this.stats.requests++;
+
+        const headers = {
+            'User-Agent': 'HEAD-CRAB-OAuth',
+            'Accept': 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            ...options.headers
+        };
+
+        // Add authentication
+        if (authorization) {
+            headers['Authorization'] = authorization;
+        }
+
+        let body = null;
+        if (data) {
+            body = JSON.stringify(data);
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        const res = await this.transport.request(method, path, {
+            headers,
+            body,
+            timeout: options.timeout,
+            signal: options.signal
+        });
+
+        // Extract rate limit headers
+        if (res.headers['x-ratelimit-resource'] === 'graphql') {
+            this.graphqlRateLimit.remaining = parseInt(res.headers['x-ratelimit-remaining']);
+            this.graphqlRateLimit.reset = parseInt(res.headers['x-ratelimit-reset'] || '0');
+            this.graphqlRateLimit.limit = parseInt(res.headers['x-ratelimit-limit'] || '0');
+        } else if (res.headers['x-ratelimit-remaining'] !== undefined) {
+            this.rateLimitRemaining = parseInt(res.headers['x-ratelimit-remaining']);
+            this.rateLimitReset = parseInt(res.headers['x-ratelimit-reset'] || '0');
+            this.rateLimitLimit = parseInt(res.headers['x-ratelimit-limit'] || '0');
+        }
+
+        let result;
+        try {
+            result = res.body ? JSON.parse(res.body) : {};
+        } catch (e) {
+            // Proxies and load balancers answer with HTML on some 5xx
+            result = { message: res.body };
+        }
+        return { status: res.status, headers: res.headers, data: result };
+    }
+
+    /**
+     * Iterate over every item of a list endpoint, following Link rel="next"
+     * Break out of the loop to stop early; pages go through the cache like any GET
+     */
+    async *paginate(path, params = {}, options = {}) {
+        const [pathname, query] = path.split('?');
+        const search = new URLSearchParams(query);
+        for (const [name, value] of Object.entries(params)) {
+            search.set(name, value);
+        }
+        if (!search.has('per_page')) search.set('per_page', '100');
+
+        let nextPath = `${pathname}?${search}`;
+        let pages = 0;
+        while (nextPath) {
+            const response = await this.fetch('GET', nextPath, null, options);
+            pages++;
+
+            for (const item of extractItems(response.data)) {
+                yield item;
+            }
+
+            if (options.maxPages && pages >= options.maxPages) break;
+            nextPath = parseNextLink(response.headers['link'], this.transport.basePath);
+        }
+    }
+
+    /**
+     * Collect every item of a list endpoint, stopping at maxItems
+     */
+    async paginateAll(path, params = {}, options = {}) {
+        const maxItems = options.maxItems || 1000;
+        const items = [];
+
+        for await (const item of this.paginate(path, params, options)) {
+            if (items.length >= maxItems) {
+                console.log(`⚠️  Stopped paginating ${path} at ${maxItems} items`);
+                break;
+            }
+            items.push(item);
+        }
+        return items;
+    }
+
+    /**
+     * Run a GraphQL query or mutation and resolve with its data
+     * Errors in the response reject with a GraphQLError carrying any partial data.
+     * Queries are retried on transient failures like GETs; mutations are not.
+     * Select rateLimit { cost remaining resetAt } to have the point cost tracked.
+     */
+    async graphql(query, variables = {}, options = {}) {
+        const response = await this.send('POST', '/graphql', { query, variables }, {
+            ...options,
+            idempotent: !/^\s*mutation\b/.test(query)
+        });
+        this.stats.graphqlRequests++;
+
+        const { data, errors } = response.data;
+        if (data && data.rateLimit) {
+            this.graphqlRateLimit.lastCost = data.rateLimit.cost;
+            this.graphqlRateLimit.remaining = data.rateLimit.remaining;
+            this.stats.graphqlPoints += data.rateLimit.cost || 0;
+        }
+
+        if (errors && errors.length > 0) {
+            throw new GraphQLError(errors, data || null, {
+                status: response.status,
+                method: 'POST',
+                path: '/graphql',
+                requestId: response.headers['x-github-request-id'],
+                body: response.data
             });
+        }
+        return data;
+    }
+
+    /**
+     * Iterate over the nodes of a GraphQL connection, following pageInfo.endCursor
+     * The query takes the cursor as $cursor (or options.cursorVariable) and
+     * selects pageInfo { hasNextPage endCursor } on the connection, found at
+     * options.connection (e.g. 'repository.issues') or the first one in the data
+     */
+    async *graphqlPaginate(query, variables = {}, options = {}) {
+        const cursorVariable = options.cursorVariable || 'cursor';
+        let cursor = variables[cursorVariable] || null;
+        let pages = 0;
+
+        while (true) {
+            const data = await this.graphql(query, { ...variables, [cursorVariable]: cursor }, options);
+            pages++;
+
+            const connection = findConnection(data, options.connection);
+            if (!connection) {
+                throw new Error(`No paginated connection${options.connection ? ` at ${options.connection}` : ''} in GraphQL response`);
+            }
+
+            const nodes = connection.nodes || (connection.edges || []).map(edge => edge.node);
+            for (const node of nodes) {
+                yield node;
+            }
+
+            if (options.maxPages && pages >= options.maxPages) break;
+            if (!connection.pageInfo.hasNextPage) break;
+            cursor = connection.pageInfo.endCursor;
+        }
+    }
+
+    /**
+     * Collect every node of a GraphQL connection, stopping at maxItems
+     */
+    async graphqlPaginateAll(query, variables = {}, options = {}) {
+        const maxItems = options.maxItems || 1000;
+        const nodes = [];
+
+        for await (const node of this.graphqlPaginate(query, variables, options)) {
+            if (nodes.length >= maxItems) {
+                console.log(`⚠️  Stopped paginating GraphQL connection at ${maxItems} nodes`);
+                break;
+            }
+            nodes.push(node);
+        }
+        return nodes;
+    }
 
-            req.on('error', reject);
-            if (data) req.write(JSON.stringify(data));
-            req.end();
+    /**
+     * Get client request statistics
+     */
+    getStats() {
+        return {
+            requests: this.stats.requests,
+            coalesced: this.stats.coalesced,
+            inflight: this.inflight.size,
+            rateLimitRemaining: this.rateLimitRemaining,
+            graphqlRequests: this.stats.graphqlRequests,
+            graphqlPoints: this.stats.graphqlPoints,
+            graphqlRateLimitRemaining: this.graphqlRateLimit.remaining
+        };
+    }
+
+    /**
+     * Sleep for specified milliseconds, rejecting early if signal aborts
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError(signal));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
         });
     }
 
     /**
-     * Sleep for specified milliseconds
+     * Close kept-alive connections so the process can exit
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    close() {
+        this.transport.destroy();
     }
 
     /**
@@ -146,20 +750,25 @@ class GitHubOAuthClient {
     /**
      * Create or update file with rate limit handling
      */
-    async createOrUpdateFile(owner, repo, path, content, message) {
+    async createOrUpdateFile(owner, repo, path, content, message, options = {}) {
         await this.checkRateLimit();
         
         const encodedContent = Buffer.from(content).toString('base64');
         const apiPath = `/repos/${owner}/${repo}/contents/${path}`;
         
         try {
-            // Check if file exists
-            let sha;
-            try {
-                const existing = await this.request('GET', apiPath);
-                sha = existing.sha;
-            } catch (error) {
-                // File doesn't exist, that's ok
+            // Check if file exists, unless options.expectedSha (null for a new file)
+            // says what the caller saw, so GitHub rejects the write if it has changed
+            let sha = options.expectedSha || undefined;
+            if (options.expectedSha === undefined) {
+                try {
+                    // Bypass the cache: a stale sha would make the PUT fail
+                    const existing = await this.request('GET', contentsRef(apiPath, options.branch), null, { cache: false });
+                    sha = existing.sha;
+                } catch (error) {
+                    // A missing file is created; auth and server errors are real failures
+                    if (!(error instanceof NotFoundError)) throw error;
+                }
             }
             
             const data = {
@@ -167,6 +776,7 @@ class GitHubOAuthClient {
                 content: encodedContent,
                 sha: sha
             };
+            if (options.branch) data.branch = options.branch;
             
             const result = await this.request('PUT', apiPath, data);
             console.log(`✅ ${sha ? 'Updated' : 'Created'}: ${path}`);
@@ -177,12 +787,94 @@ class GitHubOAuthClient {
         }
     }
 
+    /**
+     * Delete a file through the Contents API
+     */
+    async deleteFile(owner, repo, path, message, options = {}) {
+        const apiPath = `/repos/${owner}/${repo}/contents/${path}`;
+        const sha = options.expectedSha ||
+            (await this.request('GET', contentsRef(apiPath, options.branch), null, { cache: false })).sha;
+        const data = { message, sha };
+        if (options.branch) data.branch = options.branch;
+        const result = await this.request('DELETE', apiPath, data);
+        console.log(`🗑️  Deleted: ${path}`);
+        return result;
+    }
+
     /**
      * Batch process multiple files
+     * Commit mode (default) writes all files as one commit through the Git Data
+     * API; contents mode makes one Contents API commit per file and is used as
+     * the fallback for empty repositories, except for files the Contents API
+     * can't write: those over its size limit, and executables and symlinks,
+     * whose mode it would drop, are still committed through the Blobs API
      */
-    async batchUploadFiles(owner, repo, files, concurrency = 3) {
-        console.log(`📤 Uploading ${files.length} files to ${owner}/${repo}...`);
-        
+    async batchUploadFiles(owner, repo, files, options = {}) {
+        if (typeof options === 'number') options = { concurrency: options };
+        const mode = options.mode || 'commit';
+
+        console.log(`📤 Uploading ${files.length} files to ${owner}/${repo} (${mode} mode)...`);
+
+        if (mode === 'commit') {
+            try {
+                return await this.commitFiles(owner, repo, files, options);
+            } catch (error) {
+                // Empty repos have no ref to commit on top of
+                if (!(error instanceof ConflictError)) {
+                    return { results: [], errors: this.failedUploads(files, error) };
+                }
+                console.log('⚠️  Repository is empty, falling back to per-file uploads');
+            }
+        }
+
+        const viaContents = files.filter(file => file.content === null ||
+            (uploadSize(file) <= CONTENTS_API_MAX_SIZE && (!file.mode || file.mode === '100644')));
+        const viaBlobs = files.filter(file => !viaContents.includes(file));
+
+        const result = await this.uploadFilesViaContents(owner, repo, viaContents, options);
+        if (viaBlobs.length === 0) return result;
+
+        // Runs after the other files so an empty repository has a branch to commit on
+        console.log(`📦 ${viaBlobs.length} files are too large for the Contents API or need their mode kept, committing them through the Blobs API`);
+        try {
+            const committed = await this.commitFiles(owner, repo, viaBlobs, {
+                ...options,
+                parent: await this.contentsHead(owner, repo, result, options)
+            });
+            result.commit = committed.commit;
+            result.results.push(...committed.results);
+        } catch (error) {
+            result.errors.push(...this.failedUploads(viaBlobs, error));
+        }
+        return result;
+    }
+
+    /**
+     * Head to pin the Blobs API commit on after a Contents API pass
+     * The Contents uploads moved a pinned branch themselves, so the pin
+     * follows them as long as the head is one of their commits
+     */
+    async contentsHead(owner, repo, result, options) {
+        if (options.parent === undefined || result.results.length === 0) return options.parent;
+
+        const commits = new Set(result.results.map(upload => upload.result.commit.sha));
+        const branch = options.branch || await this.getDefaultBranch(owner, repo);
+        const ref = await this.request('GET', `/repos/${owner}/${repo}/git/ref/heads/${branch}`, null, { cache: false });
+        if (!commits.has(ref.object.sha)) {
+            throw new Error(`${branch} has moved since the per-file uploads (now ${ref.object.sha.slice(0, 7)}), not committing on top of changes the caller didn't see`);
+        }
+        return ref.object.sha;
+    }
+
+    failedUploads(files, error) {
+        return files.map(file => ({ success: false, path: file.path, error: error.message }));
+    }
+
+    /**
+     * Upload files one Contents API commit at a time, to options.branch or the default branch
+     */
+    async uploadFilesViaContents(owner, repo, files, options = {}) {
+        const concurrency = options.concurrency || 3;
         const results = [];
         const errors = [];
         
@@ -194,14 +886,18 @@ class GitHubOAuthClient {
             await this.checkRateLimit();
             
             const chunkPromises = chunk.map(async (file) => {
+                const target = { branch: options.branch, expectedSha: file.expectedSha };
                 try {
-                    const result = await this.createOrUpdateFile(
-                        owner,
-                        repo,
-                        file.path,
-                        file.content,
-                        file.message || `Update ${file.path}`
-                    );
+                    const result = file.content === null
+                        ? await this.deleteFile(owner, repo, file.path, file.message || `Delete ${file.path}`, target)
+                        : await this.createOrUpdateFile(
+                            owner,
+                            repo,
+                            file.path,
+                            await uploadContent(file),
+                            file.message || `Update ${file.path}`,
+                            target
+                        );
                     results.push({ success: true, path: file.path, result });
                 } catch (error) {
                     errors.push({ success: false, path: file.path, error: error.message });
@@ -223,18 +919,122 @@ class GitHubOAuthClient {
         return { results, errors };
     }
 
+    /**
+     * Write files as a single commit: blobs, a tree on top of the branch head,
+     * a commit, then a fast-forward of the branch ref
+     * If the branch moves meanwhile, the tree is rebuilt on the new head and
+     * retried, unless options.parent pinned the head, which fails instead
+     */
+    async commitFiles(owner, repo, files, options = {}) {
+        const repoPath = `/repos/${owner}/${repo}`;
+        const branch = options.branch || await this.getDefaultBranch(owner, repo);
+        const message = options.message ||
+            (files.length === 1 ? files[0].message || `Update ${files[0].path}` : `Update ${files.length} files`);
+        const maxRefRetries = options.maxRefRetries ?? 3;
+        // options.parent pins the commit on that head (null: a branch that doesn't exist yet)
+        const pinned = options.parent !== undefined;
+        const moved = head => new Error(`${branch} has moved since ${options.parent ? options.parent.slice(0, 7) : 'it was empty'}` +
+            `${head ? ` (now ${head.slice(0, 7)})` : ''}, not committing on top of changes the caller didn't see`);
+
+        const entries = await this.createBlobs(owner, repo, files, options.concurrency || 3);
+
+        for (let attempt = 0; ; attempt++) {
+            let head = options.parent;
+            if (!head) {
+                const ref = await this.request('GET', `${repoPath}/git/ref/heads/${branch}`, null, { cache: false });
+                if (pinned) throw moved(ref.object.sha);
+                head = ref.object.sha;
+            }
+            const headCommit = await this.request('GET', `${repoPath}/git/commits/${head}`);
+
+            const tree = await this.request('POST', `${repoPath}/git/trees`, {
+                base_tree: headCommit.tree.sha,
+                tree: entries
+            });
+            const commit = await this.request('POST', `${repoPath}/git/commits`, {
+                message,
+                tree: tree.sha,
+                parents: [head]
+            });
+
+            try {
+                await this.request('PATCH', `${repoPath}/git/refs/heads/${branch}`, { sha: commit.sha, force: false });
+            } catch (error) {
+                // 422: not a fast-forward, someone pushed in between
+                if (error instanceof ValidationError && pinned) throw moved(null);
+                if (error instanceof ValidationError && attempt < maxRefRetries) {
+                    console.log(`🔁 ${branch} moved during commit, rebasing (attempt ${attempt + 1}/${maxRefRetries})`);
+                    continue;
+                }
+                throw error;
+            }
+
+            console.log(`✅ Committed ${files.length} files to ${branch}: ${commit.sha.slice(0, 7)}`);
+            return {
+                commit: commit.sha,
+                branch,
+                results: files.map(file => ({ success: true, path: file.path, commit: commit.sha })),
+                errors: []
+            };
+        }
+    }
+
+    /**
+     * Upload file contents as blobs, resolving with tree entries
+     * Files with content null become deletions; lazy contents are read a
+     * chunk at a time, so no more than concurrency files are held at once
+     */
+    async createBlobs(owner, repo, files, concurrency = 3) {
+        const entries = new Array(files.length);
+
+        for (let i = 0; i < files.length; i += concurrency) {
+            await this.checkRateLimit();
+            await Promise.all(files.slice(i, i + concurrency).map(async (file, j) => {
+                const entry = { path: file.path, mode: file.mode || '100644', type: 'blob' };
+                if (file.content === null) {
+                    entry.sha = null;
+                } else {
+                    const blob = await this.request('POST', `/repos/${owner}/${repo}/git/blobs`, {
+                        content: Buffer.from(await uploadContent(file)).toString('base64'),
+                        encoding: 'base64'
+                    });
+                    entry.sha = blob.sha;
+                }
+                entries[i + j] = entry;
+            }));
+        }
+
+        return entries;
+    }
+
+    /**
+     * Default branch of a repository
+     */
+    async getDefaultBranch(owner, repo) {
+        const info = await this.request('GET', `/repos/${owner}/${repo}`);
+        return info.default_branch;
+    }
+
     /**
      * Test authentication and show rate limit
      */
     async testAuth() {
         try {
-            console.log('🔄 Testing GitHub authentication...');
+            console.log(`🔄 Testing GitHub authentication (${this.authType})...`);
             
-            // Get authenticated user
-            const user = await this.request('GET', '/user');
-            console.log(`✅ Authenticated as: ${user.login}`);
-            console.log(`   Name: ${user.name || 'N/A'}`);
-            console.log(`   Type: ${user.type}`);
+            if (this.authType === 'app') {
+                // Installation tokens can't read /user
+                const installation = await this.request('GET', '/installation/repositories?per_page=1');
+                console.log(`✅ Authenticated as GitHub App ${this.appAuth.appId}`);
+                console.log(`   Installation: ${this.appAuth.installationId}`);
+                console.log(`   Repositories: ${installation.total_count}`);
+            } else {
+                // Get authenticated user
+                const user = await this.request('GET', '/user');
+                console.log(`✅ Authenticated as: ${user.login}`);
+                console.log(`   Name: ${user.name || 'N/A'}`);
+                console.log(`   Type: ${user.type}`);
+            }
             
             // Get rate limit
             const rateLimit = await this.getRateLimit();
@@ -256,36 +1056,75 @@ class GitHubOAuthClient {
 }
 
 /**
- * Sync directory to GitHub with rate limiting
+ * Log in with the OAuth device flow and store the token
  */
-async function syncDirectory(client, owner, repo, localPath, remotePath = '') {
-    const path = require('path');
-    const entries = await fs.readdir(localPath, { withFileTypes: true });
-    const files = [];
-    
-    for (const entry of entries) {
-        const localFilePath = path.join(localPath, entry.name);
-        const remoteFilePath = remotePath ? `${remotePath}/${entry.name}` : entry.name;
-        
-        if (entry.isDirectory()) {
-            if (entry.name === 'node_modules' || entry.name === '.git') continue;
-            const subFiles = await syncDirectory(client, owner, repo, localFilePath, remoteFilePath);
-            files.push(...subFiles);
-        } else {
-            try {
-                const content = await fs.readFile(localFilePath, 'utf8');
-                files.push({
-                    path: remoteFilePath,
-                    content: content,
-                    message: `Update ${entry.name}`
-                });
-            } catch (error) {
-                console.error(`⚠️  Skipping ${localFilePath}: ${error.message}`);
-            }
+async function login() {
+    const store = new CredentialStore();
+    const flow = new DeviceFlow();
+
+    const credentials = await flow.login(async (code) => {
+        console.log('🔐 To authorize HEAD-CRAB:');
+        console.log(`   1. Open ${code.verification_uri}`);
+        console.log(`   2. Enter code: ${code.user_code}`);
+        console.log('\n⏳ Waiting for authorization...');
+    });
+
+    const client = new GitHubOAuthClient({ token: credentials.token, authType: 'token' });
+    const user = await client.request('GET', '/user');
+    await store.save({ ...credentials, login: user.login });
+
+    console.log(`✅ Logged in as ${user.login}`);
+    console.log(`   Token stored in ${store.file}`);
+}
+
+/**
+ * Remove the stored token, revoking it when the client secret is known
+ */
+async function logout() {
+    const store = new CredentialStore();
+    const credentials = store.load();
+    if (!credentials) {
+        console.log('ℹ️  Not logged in');
+        return;
+    }
+
+    const client = new GitHubOAuthClient({ token: credentials.token, authType: 'token' });
+    if (client.clientId && client.clientSecret) {
+        const auth = Buffer.from(`${client.clientId}:${client.clientSecret}`).toString('base64');
+        try {
+            await client.send('DELETE', `/applications/${client.clientId}/token`, { access_token: credentials.token }, {
+                auth: false,
+                headers: { 'Authorization': `Basic ${auth}` }
+            });
+            console.log('🔒 Token revoked');
+        } catch (error) {
+            console.log(`⚠️  Could not revoke token: ${error.message}`);
         }
     }
-    
-    return files;
+
+    await store.clear();
+    console.log(`✅ Logged out${credentials.login ? ` ${credentials.login}` : ''}`);
+}
+
+/**
+ * Show who the client authenticates as and where the credentials come from
+ */
+async function whoami() {
+    const client = new GitHubOAuthClient();
+    if (client.authType === 'none') {
+        console.log('❌ Not logged in. Run: node github-oauth-client.js login');
+        process.exitCode = 1;
+        return;
+    }
+
+    if (client.authType === 'app') {
+        console.log(`🤖 GitHub App ${client.appAuth.appId} (installation ${client.appAuth.installationId})`);
+        return;
+    }
+
+    const user = await client.request('GET', '/user');
+    console.log(`👤 ${user.login}${user.name ? ` (${user.name})` : ''}`);
+    console.log(`   Auth: ${client.authType}${client.tokenSource ? ` from ${client.tokenSource}` : ''}`);
 }
 
 // Example usage
@@ -293,48 +1132,120 @@ async function main() {
     console.log('🦀 GitHub OAuth Client with Rate Limiting');
     console.log('========================================\n');
 
+    const command = process.argv[2];
+    if (command === 'login') return login();
+    if (command === 'logout') return logout();
+    if (command === 'whoami') return whoami();
+
+    const cache = new GitHubCache();
+    await cache.init();
+
+    const client = new GitHubOAuthClient({ cache });
+
+    // The cache flushes recorded hits on close, whichever way the command ends
+    try {
+        await runCommand(client);
+    } finally {
+        await cache.close();
+    }
+}
+
+/**
+ * Check authentication, then run the sync, pull or plan the flags ask for
+ */
+async function runCommand(client) {
     // Check for authentication
-    if (!process.env.GITHUB_TOKEN) {
-        console.error('❌ Missing GITHUB_TOKEN environment variable!');
-        console.log('\nTo create a personal access token:');
+    if (client.authType === 'none') {
+        console.error('❌ No GitHub credentials configured!');
+        console.log('\nEither configure the GitHub App in .env:');
+        console.log('   GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY, GITHUB_APP_INSTALLATION_ID');
+        console.log('\nOr log in with your browser:');
+        console.log('   node github-oauth-client.js login');
+        console.log('\nOr create a personal access token:');
         console.log('1. Go to https://github.com/settings/tokens');
         console.log('2. Click "Generate new token (classic)"');
         console.log('3. Select scopes: repo, workflow (if needed)');
         console.log('4. Generate and copy the token');
         console.log('5. Run: export GITHUB_TOKEN="your_token"');
-        process.exit(1);
+        process.exitCode = 1;
+        return;
     }
 
-    const client = new GitHubOAuthClient({
-        token: process.env.GITHUB_TOKEN
-    });
-
     // Test authentication
     const authOk = await client.testAuth();
     if (!authOk) {
-        process.exit(1);
+        process.exitCode = 1;
+        return;
     }
 
     // Example operations
-    if (process.argv.includes('--sync')) {
-        const owner = process.env.GITHUB_USER || 'garmir';
-        const repo = process.env.GITHUB_REPO || '0xANATHEMA';
-        const localPath = '/Volumes/Data/usr/local/head-crab';
-        
-        console.log(`\n📂 Scanning directory: ${localPath}`);
-        const files = await syncDirectory(client, owner, repo, localPath);
-        
-        console.log(`\n📄 Found ${files.length} files to sync`);
-        
-        const { results, errors } = await client.batchUploadFiles(owner, repo, files);
+    const argValue = flag => process.argv.includes(flag) ? process.argv[process.argv.indexOf(flag) + 1] : null;
+
+    const owner = process.env.GITHUB_USER || 'garmir';
+    const repo = process.env.GITHUB_REPO || '0xANATHEMA';
+    const localPath = '/Volumes/Data/usr/local/head-crab';
+
+    if (process.argv.includes('--pull') || process.argv.includes('--bidirectional')) {
+        const prefer = argValue('--prefer');
+        if (prefer && !['local', 'remote'].includes(prefer)) {
+            throw new Error(`--prefer takes local or remote, not ${prefer}`);
+        }
+        const report = process.argv.includes('--pull')
+            ? await pullDirectory(client, owner, repo, localPath, '', { prefer })
+            : await syncBidirectional(client, owner, repo, localPath, '', { prefer });
+
+        console.log(`\n✅ ${report.mode === 'pull' ? 'Pull' : 'Sync'} complete!`);
+        console.log(`   Pulled: ${report.pulled.length}, deleted locally: ${report.deletedLocal.length}`);
+        if (report.mode === 'bidirectional') {
+            console.log(`   Pushed: ${report.pushed.length}, deleted remotely: ${report.deletedRemote.length}`);
+        }
+        if (report.commit) console.log(`   Commit: ${report.commit}`);
+        console.log(`   Conflicts: ${report.conflicts.length} new, ${report.pending.length} unresolved`);
+
+        if (report.errors.length > 0) {
+            console.log('\n❌ Failed files:');
+            report.errors.forEach(e => console.log(`   - ${e.path}: ${e.error}`));
+        }
+    } else if (process.argv.includes('--sync') || process.argv.includes('--plan') || argValue('--apply')) {
+        const options = {
+            deletions: process.argv.includes('--delete'),
+            mode: process.argv.includes('--per-file') ? 'contents' : 'commit'
+        };
+
+        if (process.argv.includes('--plan')) {
+            const plan = await planSync(client, owner, repo, localPath, '', options);
+            printPlan(plan);
+
+            const planFile = argValue('--plan-out');
+            if (planFile) {
+                await fs.writeFile(planFile, JSON.stringify(plan, null, 2));
+                console.log(`\n💾 Plan written to ${planFile}, apply it with --apply ${planFile}`);
+            }
+            return;
+        }
+
+        let report;
+        if (argValue('--apply')) {
+            const plan = JSON.parse(await fs.readFile(argValue('--apply'), 'utf8'));
+            printPlan(plan);
+            report = await applyPlan(client, plan, options);
+        } else {
+            report = await syncDirectory(client, owner, repo, localPath, '', options);
+        }
         
         console.log(`\n✅ Sync complete!`);
-        console.log(`   Successful: ${results.length}`);
-        console.log(`   Failed: ${errors.length}`);
+        console.log(`   Added: ${report.added.length}, modified: ${report.modified.length}, deleted: ${report.deleted.length}, unchanged: ${report.unchanged}`);
+        if (report.commit) console.log(`   Commit: ${report.commit}`);
+        if (report.skipped.length > 0) {
+            console.log(`   Skipped: ${report.skipped.length}`);
+            report.skipped.forEach(file => console.log(`   - ${file.path}: ${file.reason}`));
+        }
+        console.log(`   Successful: ${report.results.length}`);
+        console.log(`   Failed: ${report.errors.length}`);
         
-        if (errors.length > 0) {
+        if (report.errors.length > 0) {
             console.log('\n❌ Failed files:');
-            errors.forEach(e => console.log(`   - ${e.path}: ${e.error}`));
+            report.errors.forEach(e => console.log(`   - ${e.path}: ${e.error}`));
         }
         
         // Final rate limit check
@@ -346,5 +1257,10 @@ async function main() {
 module.exports = { GitHubOAuthClient, syncDirectory };
 
 if (require.main === module) {
-    main();
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        if (error.requestId) console.error(`   Request ID: ${error.requestId}`);
+        if (error.documentationUrl) console.error(`   See: ${error.documentationUrl}`);
+        process.exit(1);
+    });
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Retry policy for GitHub API requests
+ * Distinguishes the primary rate limit, secondary (abuse) limits and
+ * transient failures, with full-jitter exponential backoff and a cap on
+ * the total time spent retrying one request
+ */
+
+// Network errors worth another attempt
+const TRANSIENT_ERROR_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'
+]);
+
+const TRANSIENT_STATUSES = new Set([500, 502, 503, 504]);
+
+// A 5xx or dropped connection may mean a POST/PATCH was applied, so don't repeat those
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.primaryRetries = options.primaryRetries ?? 3;
+        this.secondaryRetries = options.secondaryRetries ?? 3;
+        this.transientRetries = options.transientRetries ?? 3;
+
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000; // Longest single wait for a transient failure
+        this.multiplier = options.multiplier || parseFloat(process.env.BACKOFF_MULTIPLIER) || 2;
+        this.primaryDelay = options.primaryDelay || 60000; // When no reset time is sent
+        this.secondaryDelay = options.secondaryDelay || 60000; // When no Retry-After is sent
+        this.maxSecondaryDelay = options.maxSecondaryDelay || 300000; // Longest single wait for a secondary limit
+        this.maxRetryTime = options.maxRetryTime || 900000; // 15 minutes across all attempts
+
+        this.onRetry = options.onRetry || null;
+    }
+
+    /**
+     * Classify a failed attempt: 'primary', 'secondary', 'transient' or null
+     * idempotent overrides the method's default, e.g. for read-only GraphQL POSTs
+     */
+    classify(method, response, error, idempotent = IDEMPOTENT_METHODS.has(method)) {
+        if (error) {
+            const transient = TRANSIENT_ERROR_CODES.has(error.code) || /socket hang up/i.test(error.message);
+            return transient && idempotent ? 'transient' : null;
+        }
+
+        const { status, headers } = response;
+        if (status === 403 || status === 429) {
+            if (headers['x-ratelimit-remaining'] === '0') return 'primary';
+
+            const message = (response.data && response.data.message) || '';
+            if (status === 429 || headers['retry-after'] || /secondary rate limit|abuse/i.test(message)) {
+                return 'secondary';
+            }
+            return null;
+        }
+
+        if (TRANSIENT_STATUSES.has(status) && idempotent) {
+            return 'transient';
+        }
+        return null;
+    }
+
+    /**
+     * Full-jitter exponential backoff: random between 0 and the capped exponential
+     */
+    backoff(attempt) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.multiplier, attempt));
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * Milliseconds to wait before retrying a classified failure
+     */
+    delayFor(category, attempt, response) {
+        const headers = response ? response.headers : {};
+        const retryAfter = parseInt(headers['retry-after']);
+
+        if (category === 'primary') {
+            const reset = parseInt(headers['x-ratelimit-reset']) * 1000;
+            return reset > Date.now() ? reset - Date.now() + 1000 : this.primaryDelay;
+        }
+        if (!isNaN(retryAfter)) {
+            return retryAfter * 1000;
+        }
+        if (category === 'secondary') {
+            // GitHub asks for at least a minute, growing on repeats, with jitter
+            // on top so clients limited together don't come back together
+            return Math.min(this.maxSecondaryDelay, this.secondaryDelay * Math.pow(this.multiplier, attempt)) + this.backoff(attempt);
+        }
+        return this.backoff(attempt);
+    }
+
+    /**
+     * Longest Retry-After worth waiting for; primary resets are only bound by maxRetryTime
+     */
+    delayLimitFor(category) {
+        if (category === 'primary') return Infinity;
+        if (category === 'secondary') return this.maxSecondaryDelay;
+        return this.maxDelay;
+    }
+
+    retriesFor(category) {
+        if (category === 'primary') return this.primaryRetries;
+        if (category === 'secondary') return this.secondaryRetries;
+        return this.transientRetries;
+    }
+
+    /**
+     * Decide whether to retry an attempt
+     * attempts counts earlier retries per category; elapsed is time since the first attempt
+     */
+    evaluate({ method, idempotent, response, error, attempts, elapsed }) {
+        const category = this.classify(method, response, error, idempotent);
+        if (!category) return { retry: false, category: null };
+
+        const attempt = attempts[category] || 0;
+        if (attempt >= this.retriesFor(category)) {
+            return { retry: false, category, exhausted: 'retries' };
+        }
+
+        const delay = this.delayFor(category, attempt, response);
+        // A Retry-After can't be cut short, so one over the limit fails now
+        if (response && response.headers['retry-after'] && delay > this.delayLimitFor(category)) {
+            return { retry: false, category, exhausted: 'delay', delay };
+        }
+        if (elapsed + delay > this.maxRetryTime) {
+            return { retry: false, category, exhausted: 'time', delay };
+        }
+        return { retry: true, category, attempt: attempt + 1, delay };
+    }
+}
+
+module.exports = { RetryPolicy };
@@ -0,0 +1,757 @@
+/**
+ * Incremental directory sync for HEAD-CRAB
+ * Hashes local files the way git does, compares them against the remote tree
+ * and uploads only what changed, optionally propagating deletions
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./file-lock.js');
+const { NotFoundError, ConflictError } = require('./github-errors.js');
+
+const IGNORE_FILES = ['.gitignore', '.headcrabignore'];
+
+// Per-directory record of the last synced SHA of every file
+const SYNC_STATE_FILE = '.headcrab-sync.json';
+
+// The remote side of a conflict is kept beside the local file with this suffix
+const CONFLICT_SUFFIX = '.conflict-remote';
+
+// Never synced, whatever the ignore files say: repository internals, and
+// the runtime state the cache, rate limiter and file locks leave behind
+const ALWAYS_IGNORED = [
+    '.git', 'node_modules', SYNC_STATE_FILE,
+    '.github-cache', '.rate-limiter.json', '.rate-limiter.json.lock', '*.stale', '*.tmp'
+].map(compileIgnorePattern);
+
+// GitHub rejects blobs over 100MB
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Git blob SHA-1 of a file's contents
+ */
+function gitBlobSha(content) {
+    return crypto.createHash('sha1')
+        .update(`blob ${content.length}\0`)
+        .update(content)
+        .digest('hex');
+}
+
+/**
+ * Git blob SHA-1 of a local file, streamed rather than read whole
+ */
+async function hashLocalFile(filePath, mode) {
+    if (mode === '120000') return gitBlobSha(Buffer.from(await fs.readlink(filePath)));
+
+    const { size } = await fs.stat(filePath);
+    const hash = crypto.createHash('sha1').update(`blob ${size}\0`);
+    for await (const chunk of createReadStream(filePath)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+/**
+ * Upload of a scanned local file that is only read when its blob is sent,
+ * so a large sync holds a few files in memory rather than all of them
+ * The content must still be the version that was compared
+ */
+function localUpload(remotePath, filePath, file, expectedSha) {
+    return {
+        path: remotePath,
+        mode: file.mode,
+        size: file.size,
+        expectedSha,
+        read: async () => {
+            const content = file.mode === '120000'
+                ? Buffer.from(await fs.readlink(filePath))
+                : await fs.readFile(filePath);
+            if (gitBlobSha(content) !== file.sha) {
+                throw new Error(`${filePath} changed since it was scanned, sync again`);
+            }
+            return content;
+        }
+    };
+}
+
+/**
+ * Compile one gitignore line into a rule, or null for blanks and comments
+ */
+function compileIgnorePattern(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\')) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+
+    // A slash anywhere but the end anchors the pattern to the ignore file's directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    let body = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (pattern.startsWith('**/', i) && (i === 0 || pattern[i - 1] === '/')) {
+            body += '(?:.*/)?';
+            i += 2;
+        } else if (pattern.startsWith('**', i)) {
+            body += '.*';
+            i += 1;
+        } else if (char === '*') {
+            body += '[^/]*';
+        } else if (char === '?') {
+            body += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2);
+            body += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            body += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            body += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return {
+        regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`),
+        negate,
+        dirOnly
+    };
+}
+
+/**
+ * .gitignore-style rules gathered from every directory of a tree
+ */
+class IgnoreRules {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Add the rules of an ignore file found in directory base ('' for the root)
+     */
+    add(base, text) {
+        for (const line of text.split(/\r?\n/)) {
+            const rule = compileIgnorePattern(line);
+            if (rule) this.rules.push({ ...rule, base });
+        }
+    }
+
+    /**
+     * Check one path, assuming its parent directories are not ignored
+     * The last matching rule wins, so later '!' lines re-include
+     */
+    ignores(relPath, isDir) {
+        if (ALWAYS_IGNORED.some(rule => rule.regex.test(relPath)) || relPath.endsWith(CONFLICT_SUFFIX)) return true;
+
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (rule.dirOnly && !isDir) continue;
+            if (rule.base && !relPath.startsWith(`${rule.base}/`)) continue;
+
+            const subPath = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+            if (rule.regex.test(subPath)) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+
+    /**
+     * Check a file path including its parent directories
+     * Files inside an ignored directory can't be re-included, as in git
+     */
+    ignoresPath(relPath) {
+        const parts = relPath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            if (this.ignores(parts.slice(0, i).join('/'), true)) return true;
+        }
+        return this.ignores(relPath, false);
+    }
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Walk a directory, hashing every file that isn't ignored
+ * Files over maxFileSize are skipped without being read
+ * Resolves with { files: Map of relative path -> { localPath, sha, mode, size }, skipped, ignore }
+ */
+async function scanDirectory(localPath, options = {}) {
+    const maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    const files = new Map();
+    const skipped = [];
+    const ignore = new IgnoreRules();
+
+    async function walk(dir, rel) {
+        for (const name of IGNORE_FILES) {
+            try {
+                ignore.add(rel, await fs.readFile(path.join(dir, name), 'utf8'));
+            } catch (error) {
+                // No ignore file here
+            }
+        }
+
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+
+            if (ignore.ignores(relPath, entry.isDirectory())) continue;
+
+            try {
+                if (entry.isDirectory()) {
+                    await walk(entryPath, relPath);
+                } else if (entry.isSymbolicLink()) {
+                    // Git stores a symlink as a blob holding its target
+                    const target = Buffer.from(await fs.readlink(entryPath));
+                    files.set(relPath, { localPath: entryPath, sha: gitBlobSha(target), mode: '120000', size: target.length });
+                } else if (entry.isFile()) {
+                    const stats = await fs.stat(entryPath);
+                    if (stats.size > maxFileSize) {
+                        skipped.push({
+                            path: relPath,
+                            size: stats.size,
+                            reason: `${formatSize(stats.size)} exceeds the ${formatSize(maxFileSize)} file size limit`
+                        });
+                        continue;
+                    }
+
+                    const content = await fs.readFile(entryPath);
+                    files.set(relPath, {
+                        localPath: entryPath,
+                        sha: gitBlobSha(content),
+                        mode: stats.mode & 0o111 ? '100755' : '100644',
+                        size: content.length
+                    });
+                }
+            } catch (error) {
+                console.error(`⚠️  Skipping ${entryPath}: ${error.message}`);
+            }
+        }
+    }
+
+    await walk(localPath, '');
+    return { files, skipped, ignore };
+}
+
+/**
+ * Head commit of a branch, or null for an empty repository or missing branch
+ */
+async function fetchHead(client, owner, repo, branch) {
+    try {
+        const ref = await client.request('GET', `/repos/${owner}/${repo}/git/ref/heads/${branch}`, null, { cache: false });
+        return ref.object.sha;
+    } catch (error) {
+        if (error instanceof NotFoundError || error instanceof ConflictError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Fetch the blobs under remotePath at the head of a branch
+ * Resolves with { head, truncated, files: Map of path relative to remotePath -> { sha, mode, size } }
+ * An empty repository or missing branch has no files and no head
+ */
+async function fetchRemoteTree(client, owner, repo, branch, remotePath = '') {
+    const repoPath = `/repos/${owner}/${repo}`;
+    const files = new Map();
+
+    const head = await fetchHead(client, owner, repo, branch);
+    if (!head) return { head, truncated: false, files };
+
+    // Trees are addressed by the head commit, so a cached copy is never out of date
+    const tree = await client.request('GET', `${repoPath}/git/trees/${head}?recursive=1`);
+    const prefix = remotePath ? `${remotePath.replace(/\/+$/, '')}/` : '';
+
+    for (const item of tree.tree) {
+        if (item.type !== 'blob' || !item.path.startsWith(prefix)) continue;
+        files.set(item.path.slice(prefix.length), { sha: item.sha, mode: item.mode, size: item.size });
+    }
+
+    return { head, truncated: Boolean(tree.truncated), files };
+}
+
+/**
+ * Compare local and remote files by blob SHA and mode
+ * Remote files the local ignore rules cover, or that were skipped locally,
+ * are left alone rather than deleted
+ */
+function diffFiles(local, remote, ignore, skipped = []) {
+    const kept = new Set(skipped.map(file => file.path));
+    const diff = { added: [], modified: [], deleted: [], unchanged: [] };
+
+    for (const [relPath, file] of local) {
+        const remoteFile = remote.get(relPath);
+        if (!remoteFile) {
+            diff.added.push(relPath);
+        } else if (remoteFile.sha !== file.sha || remoteFile.mode !== file.mode) {
+            diff.modified.push(relPath);
+        } else {
+            diff.unchanged.push(relPath);
+        }
+    }
+
+    for (const relPath of remote.keys()) {
+        if (!local.has(relPath) && !kept.has(relPath) && !(ignore && ignore.ignoresPath(relPath))) {
+            diff.deleted.push(relPath);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Work out what syncing a local directory to remotePath would change
+ * The plan is plain JSON, so it can be saved, reviewed and applied later
+ * Options: branch, deletions (remove remote files missing locally),
+ * maxFileSize (bytes, default 100MB; larger files are skipped and reported)
+ */
+async function planSync(client, owner, repo, localPath, remotePath = '', options = {}) {
+    remotePath = remotePath.replace(/\/+$/, '');
+    const branch = options.branch || await client.getDefaultBranch(owner, repo);
+    const toRemote = relPath => remotePath ? `${remotePath}/${relPath}` : relPath;
+
+    console.log(`📂 Scanning ${localPath}...`);
+    const { files: local, skipped, ignore } = await scanDirectory(localPath, {
+        maxFileSize: options.maxFileSize || parseInt(process.env.HEADCRAB_SYNC_MAX_FILE_SIZE) || undefined
+    });
+    const remote = await fetchRemoteTree(client, owner, repo, branch, remotePath);
+
+    let deletions = Boolean(options.deletions);
+    if (remote.truncated && deletions) {
+        // A partial listing can't tell us what is missing locally
+        console.log('⚠️  Remote tree is too large to list completely, not propagating deletions');
+        deletions = false;
+    }
+
+    const diff = diffFiles(local, remote.files, ignore, skipped);
+    const files = [];
+
+    for (const status of ['added', 'modified', 'unchanged']) {
+        for (const relPath of diff[status]) {
+            const file = local.get(relPath);
+            const entry = { status, path: toRemote(relPath), local: relPath, sha: file.sha, mode: file.mode, size: file.size };
+            if (status === 'modified') {
+                entry.remoteSha = remote.files.get(relPath).sha;
+                entry.remoteSize = remote.files.get(relPath).size;
+            }
+            files.push(entry);
+        }
+    }
+    if (deletions) {
+        for (const relPath of diff.deleted) {
+            const remoteFile = remote.files.get(relPath);
+            files.push({ status: 'deleted', path: toRemote(relPath), local: null, remoteSha: remoteFile.sha, size: remoteFile.size });
+        }
+    }
+    files.sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+    console.log(`   ${local.size} local files: ${diff.added.length} added, ${diff.modified.length} modified, ` +
+        `${diff.unchanged.length} unchanged, ${diff.deleted.length} missing locally${deletions ? '' : ' (kept)'}`);
+    for (const file of skipped) {
+        console.log(`⚠️  Skipped ${file.path}: ${file.reason}`);
+    }
+
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        owner,
+        repo,
+        branch,
+        base: remote.head,
+        localPath: path.resolve(localPath),
+        remotePath,
+        deletions,
+        files,
+        skipped,
+        summary: {
+            added: diff.added.length,
+            modified: diff.modified.length,
+            deleted: deletions ? diff.deleted.length : 0,
+            unchanged: diff.unchanged.length,
+            skipped: skipped.length,
+            uploadBytes: files
+                .filter(file => file.status === 'added' || file.status === 'modified')
+                .reduce((total, file) => total + file.size, 0)
+        }
+    };
+}
+
+/**
+ * Print a plan file by file, then a summary
+ */
+function printPlan(plan) {
+    const markers = { added: '+', modified: '~', deleted: '-', unchanged: '=' };
+    const base = plan.base ? plan.base.slice(0, 7) : 'empty';
+
+    console.log(`\n📋 Sync plan: ${plan.localPath} → ${plan.owner}/${plan.repo}@${plan.branch}` +
+        `${plan.remotePath ? `:${plan.remotePath}` : ''} (base ${base})`);
+
+    for (const file of plan.files) {
+        const size = file.status === 'modified'
+            ? `${formatSize(file.remoteSize)} → ${formatSize(file.size)}`
+            : formatSize(file.size);
+        console.log(`   ${markers[file.status]} ${file.status.padEnd(9)} ${file.path} (${size})`);
+    }
+    for (const file of plan.skipped) {
+        console.log(`   ! skipped   ${file.path}: ${file.reason}`);
+    }
+
+    const { summary } = plan;
+    console.log(`\n   Summary: ${summary.added} added, ${summary.modified} modified, ${summary.deleted} deleted, ` +
+        `${summary.unchanged} unchanged, ${summary.skipped} skipped; ${formatSize(summary.uploadBytes)} to upload`);
+}
+
+/**
+ * Upload the changes in a plan as one commit
+ * With verify set, local files must still hash to the planned SHAs
+ */
+async function uploadPlan(client, plan, options = {}) {
+    const changes = plan.files.filter(file => file.status !== 'unchanged');
+    const pathsWith = status => plan.files.filter(file => file.status === status).map(file => file.path);
+    const report = {
+        branch: plan.branch,
+        base: plan.base,
+        commit: null,
+        added: pathsWith('added'),
+        modified: pathsWith('modified'),
+        deleted: pathsWith('deleted'),
+        unchanged: plan.summary.unchanged,
+        skipped: plan.skipped,
+        results: [],
+        errors: []
+    };
+
+    if (changes.length === 0) {
+        console.log(`✅ ${plan.owner}/${plan.repo}@${plan.branch} is already up to date`);
+        return report;
+    }
+
+    // Writes pinned to the planned state: the commit's parent and, per file, the remote sha
+    const pinned = options.parent !== undefined;
+    const files = [];
+    for (const file of changes) {
+        if (file.status === 'deleted') {
+            files.push({ path: file.path, content: null, expectedSha: pinned ? file.remoteSha : undefined });
+            continue;
+        }
+
+        const localFile = path.join(plan.localPath, file.local);
+        // Checked before anything is uploaded, so a stale plan changes nothing
+        if (options.verify && await hashLocalFile(localFile, file.mode) !== file.sha) {
+            throw new Error(`${localFile} changed since the plan was made, make a new plan`);
+        }
+        files.push(localUpload(file.path, localFile, file, pinned ? file.remoteSha || null : undefined));
+    }
+
+    const result = await client.batchUploadFiles(plan.owner, plan.repo, files, {
+        mode: options.mode,
+        branch: plan.branch,
+        parent: options.parent,
+        concurrency: options.concurrency,
+        maxRefRetries: options.maxRefRetries,
+        message: options.message || `Sync ${files.length} files from ${plan.localPath}`
+    });
+
+    report.commit = result.commit || null;
+    report.results = result.results;
+    report.errors = result.errors;
+    return report;
+}
+
+/**
+ * Apply a saved plan, refusing if the branch has moved since it was made
+ */
+async function applyPlan(client, plan, options = {}) {
+    const head = await fetchHead(client, plan.owner, plan.repo, plan.branch);
+    if (head !== plan.base) {
+        const short = sha => sha ? sha.slice(0, 7) : 'empty';
+        throw new Error(`${plan.owner}/${plan.repo}@${plan.branch} has moved since the plan was made ` +
+            `(planned on ${short(plan.base)}, now ${short(head)}), make a new plan`);
+    }
+
+    // Rebasing onto commits nobody reviewed would defeat the plan, so the
+    // commit is pinned to the planned base and fails if the branch moves before it lands
+    return uploadPlan(client, plan, { ...options, verify: true, parent: plan.base });
+}
+
+/**
+ * Sync a local directory to remotePath in a repository, uploading only
+ * added and changed files as one commit
+ * Takes the planSync options plus mode, concurrency and message
+ */
+async function syncDirectory(client, owner, repo, localPath, remotePath = '', options = {}) {
+    const plan = await planSync(client, owner, repo, localPath, remotePath, options);
+    return uploadPlan(client, plan, options);
+}
+
+/**
+ * Load the sync state of a directory, ignoring state recorded for a
+ * different repository, branch or remote path
+ */
+async function loadSyncState(localPath, target) {
+    const empty = { files: {}, conflicts: {} };
+    let state;
+    try {
+        state = JSON.parse(await fs.readFile(path.join(localPath, SYNC_STATE_FILE), 'utf8'));
+    } catch (error) {
+        return empty;
+    }
+
+    const matches = ['owner', 'repo', 'branch', 'remotePath'].every(key => state[key] === target[key]);
+    if (!matches) {
+        console.log(`⚠️  ${SYNC_STATE_FILE} belongs to ${state.owner}/${state.repo}@${state.branch}, starting without a base`);
+        return empty;
+    }
+    return { files: state.files || {}, conflicts: state.conflicts || {} };
+}
+
+async function saveSyncState(localPath, state) {
+    await writeFileAtomic(path.join(localPath, SYNC_STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Write a pulled file, replacing whatever is there
+ */
+async function writeLocalFile(filePath, content, mode) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.rm(filePath, { force: true });
+
+    if (mode === '120000') {
+        await fs.symlink(content.toString(), filePath);
+    } else {
+        await writeFileAtomic(filePath, content);
+        await fs.chmod(filePath, mode === '100755' ? 0o755 : 0o644);
+    }
+}
+
+async function exists(filePath) {
+    try {
+        await fs.lstat(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Three-way sync against the base SHAs recorded at the last sync
+ * A side that still matches the base takes the other side's change; when
+ * both changed differently the local file is kept and the remote version is
+ * written beside it as <file>.conflict-remote. Once that copy is removed the
+ * conflict counts as resolved in favour of the local file. A file deleted
+ * remotely but edited locally has no copy and stays in conflict until the
+ * local file is deleted too.
+ * options.prefer ('local' or 'remote') settles conflicts, pending ones
+ * included, by taking that side.
+ * Pull mode only applies remote changes; local changes wait for a push.
+ */
+async function reconcile(client, owner, repo, localPath, remotePath, options) {
+    remotePath = remotePath.replace(/\/+$/, '');
+    const push = options.mode === 'bidirectional';
+    const branch = options.branch || await client.getDefaultBranch(owner, repo);
+    const toRemote = relPath => remotePath ? `${remotePath}/${relPath}` : relPath;
+    const target = { owner, repo, branch, remotePath };
+
+    console.log(`📂 Scanning ${localPath}...`);
+    const { files: local, skipped, ignore } = await scanDirectory(localPath, {
+        maxFileSize: options.maxFileSize || parseInt(process.env.HEADCRAB_SYNC_MAX_FILE_SIZE) || undefined
+    });
+    const remote = await fetchRemoteTree(client, owner, repo, branch, remotePath);
+    if (remote.truncated) {
+        // Files missing from a partial listing would look deleted
+        throw new Error(`Remote tree of ${owner}/${repo}@${branch} is too large to list completely for ${options.mode} sync`);
+    }
+
+    const state = await loadSyncState(localPath, target);
+    const skippedPaths = new Set(skipped.map(file => file.path));
+    const report = {
+        mode: options.mode,
+        branch,
+        base: remote.head,
+        commit: null,
+        pushed: [],
+        pulled: [],
+        deletedLocal: [],
+        deletedRemote: [],
+        conflicts: [],
+        pending: [],
+        unchanged: 0,
+        skipped,
+        errors: []
+    };
+
+    const paths = new Set([...local.keys(), ...Object.keys(state.files)]);
+    for (const relPath of remote.files.keys()) {
+        if (!ignore.ignoresPath(relPath)) paths.add(relPath);
+    }
+
+    const uploads = [];
+    const baseFiles = { ...state.files };
+    const conflicts = {};
+
+    for (const relPath of [...paths].sort()) {
+        if (skippedPaths.has(relPath)) continue;
+
+        const localFile = local.get(relPath);
+        const remoteFile = remote.files.get(relPath);
+        const localSha = localFile ? localFile.sha : null;
+        const remoteSha = remoteFile ? remoteFile.sha : null;
+        let baseSha = state.files[relPath] || null;
+        // Settling a conflict for one side means treating the other as unchanged
+        const preferredBase = options.prefer === 'local' ? remoteSha : localSha;
+
+        if (relPath in state.conflicts) {
+            const copyPath = path.join(localPath, relPath + CONFLICT_SUFFIX);
+            const remoteDeleted = state.conflicts[relPath] === null && localSha !== null && remoteSha === null;
+            const unresolved = remoteDeleted || await exists(copyPath);
+
+            if (unresolved && !options.prefer) {
+                conflicts[relPath] = state.conflicts[relPath];
+                report.pending.push(relPath);
+                continue;
+            }
+            if (unresolved) {
+                await fs.rm(copyPath, { force: true });
+                baseSha = preferredBase;
+            } else {
+                // Resolved: the local file is the merge of both sides
+                baseSha = state.conflicts[relPath];
+            }
+        } else if (options.prefer && localSha !== remoteSha && localSha !== baseSha && remoteSha !== baseSha) {
+            baseSha = preferredBase;
+        }
+
+        if (localSha === remoteSha) {
+            if (localSha) {
+                baseFiles[relPath] = localSha;
+                report.unchanged++;
+            } else {
+                delete baseFiles[relPath];
+            }
+        } else if (localSha === baseSha) {
+            if (remoteSha) {
+                const blob = await client.request('GET', `/repos/${owner}/${repo}/git/blobs/${remoteSha}`);
+                await writeLocalFile(path.join(localPath, relPath), Buffer.from(blob.content, 'base64'), remoteFile.mode);
+                baseFiles[relPath] = remoteSha;
+                report.pulled.push(relPath);
+            } else {
+                await fs.rm(path.join(localPath, relPath), { force: true });
+                delete baseFiles[relPath];
+                report.deletedLocal.push(relPath);
+            }
+        } else if (remoteSha === baseSha) {
+            // Until a push lands, the remote side is still the base
+            if (baseSha) baseFiles[relPath] = baseSha;
+            else delete baseFiles[relPath];
+
+            if (!push) continue;
+            if (localSha) {
+                const file = localUpload(toRemote(relPath), path.join(localPath, relPath), localFile, remoteSha);
+                uploads.push({ relPath, sha: localSha, file });
+            } else {
+                uploads.push({ relPath, sha: null, file: { path: toRemote(relPath), content: null, expectedSha: remoteSha } });
+            }
+        } else {
+            if (remoteSha) {
+                const blob = await client.request('GET', `/repos/${owner}/${repo}/git/blobs/${remoteSha}`);
+                await writeLocalFile(path.join(localPath, relPath + CONFLICT_SUFFIX), Buffer.from(blob.content, 'base64'), remoteFile.mode);
+            }
+            conflicts[relPath] = remoteSha;
+            report.conflicts.push({
+                path: relPath,
+                local: localSha ? 'modified' : 'deleted',
+                remote: remoteSha ? 'modified' : 'deleted',
+                copy: remoteSha ? relPath + CONFLICT_SUFFIX : null
+            });
+        }
+    }
+
+    if (uploads.length > 0) {
+        // The push is pinned to the head that was compared: a rebase, or a
+        // Contents API write without the sha we saw, could overwrite remote
+        // edits made since, so a moved branch fails the push and the next
+        // sync reconciles again
+        const result = await client.batchUploadFiles(owner, repo, uploads.map(upload => upload.file), {
+            branch,
+            parent: remote.head,
+            concurrency: options.concurrency,
+            maxRefRetries: 0,
+            message: options.message || `Sync ${uploads.length} files from ${localPath}`
+        });
+
+        const failed = new Set(result.errors.map(error => error.path));
+        for (const upload of uploads) {
+            if (failed.has(upload.file.path)) continue;
+            if (upload.sha) {
+                baseFiles[upload.relPath] = upload.sha;
+                report.pushed.push(upload.relPath);
+            } else {
+                delete baseFiles[upload.relPath];
+                report.deletedRemote.push(upload.relPath);
+            }
+        }
+        report.commit = result.commit || null;
+        report.errors = result.errors;
+    }
+
+    await saveSyncState(localPath, {
+        version: 1,
+        ...target,
+        syncedAt: new Date().toISOString(),
+        files: baseFiles,
+        conflicts
+    });
+
+    console.log(`   ${report.pulled.length} pulled, ${report.pushed.length} pushed, ` +
+        `${report.deletedLocal.length + report.deletedRemote.length} deleted, ${report.unchanged} unchanged`);
+    for (const conflict of report.conflicts) {
+        console.log(`⚠️  Conflict in ${conflict.path}: local ${conflict.local}, remote ${conflict.remote}` +
+            `${conflict.copy ? `, remote version saved as ${conflict.copy}` : ''}`);
+    }
+    for (const relPath of report.pending) {
+        console.log(conflicts[relPath] === null
+            ? `⚠️  Unresolved conflict in ${relPath}: deleted remotely, delete it locally or sync with --prefer local to keep it`
+            : `⚠️  Unresolved conflict in ${relPath}, remove ${relPath + CONFLICT_SUFFIX} once merged`);
+    }
+
+    return report;
+}
+
+/**
+ * Download remote changes into a local directory
+ */
+async function pullDirectory(client, owner, repo, localPath, remotePath = '', options = {}) {
+    return reconcile(client, owner, repo, localPath, remotePath, { ...options, mode: 'pull' });
+}
+
+/**
+ * Pull remote changes and push local ones in a single pass
+ */
+async function syncBidirectional(client, owner, repo, localPath, remotePath = '', options = {}) {
+    return reconcile(client, owner, repo, localPath, remotePath, { ...options, mode: 'bidirectional' });
+}
+
+module.exports = {
+    DEFAULT_MAX_FILE_SIZE,
+    gitBlobSha,
+    IgnoreRules,
+    scanDirectory,
+    fetchRemoteTree,
+    diffFiles,
+    planSync,
+    printPlan,
+    applyPlan,
+    syncDirectory,
+    pullDirectory,
+    syncBidirectional
+};
@@ -0,0 +1,219 @@
+/**
+ * HTTP transport for the HEAD-CRAB GitHub client
+ * Sends requests to a configurable API base URL over keep-alive connections,
+ * through HTTP(S)_PROXY when the environment asks for it, with a timeout
+ * per request and AbortSignal support
+ */
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const GRAPHQL_PATH = '/graphql';
+
+/**
+ * Check NO_PROXY: comma-separated hosts or domain suffixes, optional :port, or *
+ */
+function bypassesProxy(url, noProxy = process.env.NO_PROXY || process.env.no_proxy || '') {
+    const hostname = url.hostname.toLowerCase();
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+    for (const entry of noProxy.split(/[\s,]+/).filter(Boolean)) {
+        if (entry === '*') return true;
+
+        const match = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+        if (match[2] && match[2] !== port) continue;
+
+        const host = match[1].replace(/^\*?\./, '');
+        if (hostname === host || hostname.endsWith(`.${host}`)) return true;
+    }
+    return false;
+}
+
+/**
+ * Proxy URL for a target from HTTPS_PROXY / HTTP_PROXY, or null
+ */
+function proxyFor(url) {
+    if (bypassesProxy(url)) return null;
+
+    const proxy = url.protocol === 'https:'
+        ? process.env.HTTPS_PROXY || process.env.https_proxy
+        : process.env.HTTP_PROXY || process.env.http_proxy;
+    return proxy ? new URL(proxy) : null;
+}
+
+function proxyAuthorization(proxy) {
+    if (!proxy.username) return null;
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+/**
+ * HTTPS agent that reaches its target through a proxy CONNECT tunnel
+ * Tunnelled sockets are pooled and kept alive like direct ones
+ */
+class TunnelingAgent extends https.Agent {
+    constructor(proxy, options = {}) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        const target = `${options.host}:${options.port}`;
+        const headers = { Host: target };
+        const authorization = proxyAuthorization(this.proxy);
+        if (authorization) headers['Proxy-Authorization'] = authorization;
+
+        const connectRequest = (this.proxy.protocol === 'https:' ? https : http).request({
+            host: this.proxy.hostname,
+            port: this.proxy.port || (this.proxy.protocol === 'https:' ? 443 : 80),
+            method: 'CONNECT',
+            path: target,
+            headers,
+            agent: false
+        });
+
+        connectRequest.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                callback(new Error(`Proxy CONNECT to ${target} failed: ${res.statusCode}`));
+                return;
+            }
+            callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+        });
+        connectRequest.once('error', callback);
+        connectRequest.end();
+    }
+}
+
+class Transport {
+    constructor(options = {}) {
+        this.baseUrl = new URL(options.baseUrl || process.env.GITHUB_API_URL || DEFAULT_BASE_URL);
+        // GitHub Enterprise serves the API under a prefix such as /api/v3
+        this.basePath = this.baseUrl.pathname.replace(/\/+$/, '');
+        this.secure = this.baseUrl.protocol === 'https:';
+        // GraphQL sits beside the REST API: /graphql on github.com, /api/graphql
+        // (not /api/v3/graphql) on GitHub Enterprise
+        this.graphqlUrl = new URL(options.graphqlUrl || process.env.GITHUB_GRAPHQL_URL ||
+            `${this.baseUrl.origin}${this.basePath.replace(/\/v3$/, '')}${GRAPHQL_PATH}`);
+
+        this.timeout = options.timeout ?? 30000; // Per request, 0 to disable
+        this.proxy = options.proxy !== undefined
+            ? (options.proxy ? new URL(options.proxy) : null)
+            : proxyFor(this.baseUrl);
+
+        const agentOptions = {
+            keepAlive: options.keepAlive !== false,
+            maxSockets: options.maxSockets || 10
+        };
+        if (options.agent) {
+            this.agent = options.agent;
+        } else if (this.proxy && this.secure) {
+            this.agent = new TunnelingAgent(this.proxy, agentOptions);
+        } else if (this.proxy) {
+            this.agent = new http.Agent(agentOptions); // Connections to the proxy itself
+        } else {
+            this.agent = new (this.secure ? https : http).Agent(agentOptions);
+        }
+    }
+
+    /**
+     * Node request options for an API path, /graphql going to the GraphQL endpoint
+     * Plain HTTP through a proxy sends the absolute URL to the proxy instead of tunnelling
+     */
+    requestOptions(method, path, headers) {
+        const url = path === GRAPHQL_PATH ? this.graphqlUrl : new URL(this.basePath + path, this.baseUrl);
+
+        if (this.proxy && !this.secure) {
+            const authorization = proxyAuthorization(this.proxy);
+            return {
+                hostname: this.proxy.hostname,
+                port: this.proxy.port || 80,
+                path: url.href,
+                method,
+                headers: authorization ? { ...headers, 'Proxy-Authorization': authorization } : headers,
+                agent: this.agent
+            };
+        }
+
+        return {
+            hostname: url.hostname,
+            port: url.port || undefined,
+            path: url.pathname + url.search,
+            method,
+            headers,
+            agent: this.agent
+        };
+    }
+
+    /**
+     * Send one request, resolving with status, headers and the raw body
+     * Times out with ETIMEDOUT after options.timeout ms for the whole exchange;
+     * an aborted options.signal rejects with an AbortError
+     */
+    request(method, path, options = {}) {
+        const timeout = options.timeout ?? this.timeout;
+        const { signal } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError(signal));
+                return;
+            }
+
+            const transport = this.secure ? https : http;
+            const req = transport.request(this.requestOptions(method, path, options.headers || {}), (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    cleanup();
+                    resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') });
+                });
+                res.on('error', fail);
+            });
+
+            let timer = null;
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    const error = new Error(`${method} ${path} timed out after ${timeout}ms`);
+                    error.code = 'ETIMEDOUT';
+                    req.destroy(error);
+                }, timeout);
+            }
+
+            const onAbort = () => req.destroy(abortError(signal));
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            function cleanup() {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+
+            function fail(error) {
+                cleanup();
+                reject(error);
+            }
+
+            req.on('error', fail);
+            if (options.body) req.write(options.body);
+            req.end();
+        });
+    }
+
+    /**
+     * Close pooled connections
+     */
+    destroy() {
+        this.agent.destroy();
+    }
+}
+
+function abortError(signal) {
+    const error = new Error(signal.reason && signal.reason.message ? signal.reason.message : 'The request was aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+}
+
+module.exports = { Transport, TunnelingAgent, proxyFor, bypassesProxy, abortError, DEFAULT_BASE_URL };
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Webhook Receiver for HEAD-CRAB
+ * Accepts webhook deliveries instead of polling: verifies X-Hub-Signature-256,
+ * drops repeated deliveries and dispatches push, workflow_run and issues
+ * events to handlers. The built-in handlers keep the cache and the local
+ * mirror in step with the repository
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { GitHubOAuthClient } = require('./github-oauth-client.js');
+const { GitHubCache } = require('./github-cache.js');
+const { pullDirectory } = require('./github-sync.js');
+
+const MAX_BODY_SIZE = 25 * 1024 * 1024; // GitHub caps payloads at 25MB
+const DEFAULT_LOCAL_PATH = '/Volumes/Data/usr/local/head-crab';
+
+/**
+ * Check an X-Hub-Signature-256 header (sha256=<hex HMAC of the raw body>)
+ */
+function verifySignature(secret, body, signature) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('hex'));
+    const actual = Buffer.from(signature.slice('sha256='.length));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Delivery ids seen recently, oldest evicted first
+ */
+class DeliveryLog {
+    constructor(maxSize = 1000) {
+        this.maxSize = maxSize;
+        this.ids = new Set();
+    }
+
+    /**
+     * Record an id, returning false if it was already there
+     */
+    add(id) {
+        if (this.ids.has(id)) return false;
+
+        this.ids.add(id);
+        if (this.ids.size > this.maxSize) {
+            this.ids.delete(this.ids.values().next().value);
+        }
+        return true;
+    }
+
+    delete(id) {
+        this.ids.delete(id);
+    }
+}
+
+class WebhookReceiver {
+    constructor(options = {}) {
+        this.secret = options.secret || process.env.GITHUB_WEBHOOK_SECRET;
+        this.port = options.port ?? (parseInt(process.env.HEADCRAB_WEBHOOK_PORT) || 3002);
+        // Reach it through a tunnel or reverse proxy rather than binding publicly
+        this.host = options.host || process.env.HEADCRAB_WEBHOOK_HOST || '127.0.0.1';
+        this.path = options.path || '/webhook';
+
+        this.client = options.client || null;
+        this.cache = options.cache || (this.client && this.client.cache) || null;
+
+        // Local directories kept in step with a repository branch by the push handler
+        this.mirrors = options.mirrors || [{
+            repo: `${process.env.GITHUB_USER || 'garmir'}/${process.env.GITHUB_REPO || '0xANATHEMA'}`,
+            localPath: process.env.HEADCRAB_SYNC_DIR || DEFAULT_LOCAL_PATH,
+            remotePath: ''
+        }];
+
+        this.deliveries = new DeliveryLog(options.maxDeliveries);
+        this.handlers = new Map(); // 'push' or 'issues.opened' -> [handler]
+        // Handlers run one delivery at a time so pulls never overlap
+        this.queue = Promise.resolve();
+        this.server = null;
+
+        this.stats = {
+            received: 0,
+            duplicates: 0,
+            rejected: 0,
+            handled: 0,
+            failed: 0
+        };
+
+        if (options.builtins !== false) {
+            this.on('push', payload => this.handlePush(payload));
+            this.on('workflow_run', payload => this.handleWorkflowRun(payload));
+            this.on('issues', payload => this.handleIssues(payload));
+        }
+    }
+
+    /**
+     * Register a handler for an event, or for one action with 'event.action'
+     * Handlers get (payload, { event, action, deliveryId })
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, []);
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    async start() {
+        if (!this.secret) {
+            throw new Error('No webhook secret configured, set GITHUB_WEBHOOK_SECRET');
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error(`❌ Webhook request failed: ${error.message}`);
+                respond(res, 500, { message: 'Internal error' });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        const { port } = this.server.address();
+        console.log(`🪝 Webhook receiver listening on http://${this.host}:${port}${this.path}`);
+        return port;
+    }
+
+    /**
+     * Stop accepting deliveries and wait for queued handlers
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        await this.queue;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === '/health') {
+            respond(res, 200, { status: 'ok', ...this.stats });
+            return;
+        }
+        if (url.pathname !== this.path) {
+            respond(res, 404, { message: 'Not Found' });
+            return;
+        }
+        if (req.method !== 'POST') {
+            respond(res, 405, { message: 'Method Not Allowed' });
+            return;
+        }
+
+        const body = await readBody(req);
+        if (body === null) {
+            respond(res, 413, { message: 'Payload too large' });
+            return;
+        }
+
+        // Nothing in the payload is trusted before the signature checks out
+        if (!verifySignature(this.secret, body, req.headers['x-hub-signature-256'])) {
+            this.stats.rejected++;
+            console.log('⚠️  Rejected webhook with an invalid signature');
+            respond(res, 401, { message: 'Invalid signature' });
+            return;
+        }
+
+        const event = req.headers['x-github-event'];
+        const deliveryId = req.headers['x-github-delivery'];
+        if (!event || !deliveryId) {
+            respond(res, 400, { message: 'Missing X-GitHub-Event or X-GitHub-Delivery' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            respond(res, 400, { message: 'Payload is not JSON' });
+            return;
+        }
+
+        this.stats.received++;
+        if (!this.deliveries.add(deliveryId)) {
+            this.stats.duplicates++;
+            console.log(`🔁 Ignoring repeated delivery ${deliveryId} (${event})`);
+            respond(res, 200, { message: 'Duplicate delivery' });
+            return;
+        }
+
+        if (event === 'ping') {
+            console.log(`🏓 Ping from hook ${payload.hook_id}: ${payload.zen}`);
+            respond(res, 200, { message: 'pong' });
+            return;
+        }
+
+        // GitHub gives up after 10 seconds, so answer before handling
+        respond(res, 202, { message: 'Accepted' });
+        this.queue = this.queue.then(() => this.dispatch(event, payload, deliveryId));
+    }
+
+    /**
+     * Run the handlers for an event; a failed delivery is forgotten so a
+     * redelivery from GitHub gets another try
+     */
+    async dispatch(event, payload, deliveryId) {
+        const action = payload.action || null;
+        const handlers = [
+            ...(this.handlers.get(event) || []),
+            ...(action ? this.handlers.get(`${event}.${action}`) || [] : [])
+        ];
+        if (handlers.length === 0) return;
+
+        const repo = payload.repository ? payload.repository.full_name : 'unknown repo';
+        console.log(`📨 ${event}${action ? `.${action}` : ''} for ${repo} (${deliveryId})`);
+
+        try {
+            for (const handler of handlers) {
+                await handler(payload, { event, action, deliveryId });
+            }
+            this.stats.handled++;
+        } catch (error) {
+            this.stats.failed++;
+            this.deliveries.delete(deliveryId);
+            console.error(`❌ ${event} handler failed for ${deliveryId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop cached data for the pushed repo, then pull mirrors of the pushed branch
+     */
+    async handlePush(payload) {
+        const repo = payload.repository.full_name;
+        if (this.cache) await this.cache.invalidate({ repo });
+
+        if (payload.deleted || !this.client) return;
+
+        const branch = payload.ref.replace(/^refs\/heads\//, '');
+        for (const mirror of this.mirrors) {
+            if (mirror.repo.toLowerCase() !== repo.toLowerCase()) continue;
+            if (branch !== (mirror.branch || payload.repository.default_branch)) continue;
+
+            const [owner, name] = repo.split('/');
+            const report = await pullDirectory(this.client, owner, name, mirror.localPath, mirror.remotePath || '', { branch });
+            console.log(`   ⬇️  ${mirror.localPath}: ${report.pulled.length} pulled, ${report.deletedLocal.length} deleted, ${report.conflicts.length} conflicts`);
+            if (report.errors.length > 0) {
+                throw new Error(`Pull into ${mirror.localPath} failed for ${report.errors.map(e => e.path).join(', ')}`);
+            }
+        }
+    }
+
+    async handleWorkflowRun(payload) {
+        const run = payload.workflow_run;
+        if (this.cache) {
+            await this.cache.invalidate({ pattern: `/repos/${payload.repository.full_name}/actions/*` });
+        }
+        console.log(`   ⚙️  ${run.name} #${run.run_number} on ${run.head_branch}: ${run.conclusion || run.status}`);
+    }
+
+    async handleIssues(payload) {
+        if (this.cache) {
+            await this.cache.invalidate({ pattern: `/repos/${payload.repository.full_name}/issues*` });
+        }
+        console.log(`   📝 Issue #${payload.issue.number} ${payload.action}: ${payload.issue.title}`);
+    }
+}
+
+/**
+ * Read a request body, or null once it passes MAX_BODY_SIZE
+ */
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) return null;
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function respond(res, status, data) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+async function main() {
+    const cache = new GitHubCache();
+    await cache.init();
+    const client = new GitHubOAuthClient({ cache });
+
+    const receiver = new WebhookReceiver({ client, cache });
+    if (client.authType === 'none') {
+        console.log('⚠️  No GitHub credentials configured, pushes will only invalidate the cache');
+        receiver.client = null;
+    }
+    await receiver.start();
+    receiver.mirrors.forEach(mirror => console.log(`   Mirroring ${mirror.repo} into ${mirror.localPath}`));
+
+    const shutdown = async () => {
+        await receiver.stop();
+        await cache.close();
+        client.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { WebhookReceiver, DeliveryLog, verifySignature };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -129,6 +129,12 @@ class HeadCrabBoot {
                 args: [],
                 critical: false
             },
+            {
+                name: 'Webhook Receiver',
+                script: 'github-webhook-receiver.js',
+                args: [],
+                critical: false
+            },
             {
                 name: 'Dashboard',
                 script: 'start-monitoring.js',
@@ -29,8 +29,18 @@ class PersistenceGuarantee {
             'redundancy-manager.js',
             'memory-indexer.js',
             'github-oauth-client.js',
+            'github-app-auth.js',
+            'github-device-auth.js',
+            'github-retry-policy.js',
+            'github-sync.js',
+            'github-errors.js',
+            'github-transport.js',
+            'github-webhook-receiver.js',
+            'fake-github-server.js',
             'rate-limiter.js',
             'github-cache.js',
+            'github-cache-storage.js',
+            'file-lock.js',
             'com.headcrab.daemon.plist',
             '.env'
         ];
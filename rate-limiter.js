@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Shared Rate Limiter for HEAD-CRAB
+ * Sliding-window limiter whose request log lives in a lock-protected state
+ * file, so every worker process draws from one request budget
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { withLock, writeFileAtomic } = require('./file-lock.js');
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.maxRequests = options.maxRequests || 30;
+        this.windowMs = options.windowMs || 60000;
+        this.cacheTimeout = options.cacheTimeout || 300000; // Discard state nobody has touched for this long
+        this.stateFile = options.stateFile || process.env.HEADCRAB_RATE_LIMIT_STATE ||
+            path.join(__dirname, '.rate-limiter.json');
+        this.lockPath = `${this.stateFile}.lock`;
+        this.shared = options.shared !== false;
+
+        // Used directly when not shared across processes
+        this.timestamps = [];
+
+        this.stats = {
+            acquired: 0,
+            waits: 0,
+            waitedMs: 0
+        };
+    }
+
+    /**
+     * Wait until a request fits in the window, then record it
+     */
+    async acquire() {
+        while (true) {
+            const wait = this.shared
+                ? await withLock(this.lockPath, () => this.tryAcquireShared())
+                : this.tryAcquire(this.timestamps);
+
+            if (wait === 0) {
+                this.stats.acquired++;
+                return;
+            }
+
+            this.stats.waits++;
+            this.stats.waitedMs += wait;
+            // Jitter so waiting workers don't all wake at once
+            await new Promise(resolve => setTimeout(resolve, wait + Math.random() * 50));
+        }
+    }
+
+    /**
+     * Record a request if the window has room, otherwise return the wait in ms
+     */
+    tryAcquire(timestamps) {
+        const now = Date.now();
+        while (timestamps.length > 0 && timestamps[0] <= now - this.windowMs) {
+            timestamps.shift();
+        }
+
+        if (timestamps.length < this.maxRequests) {
+            timestamps.push(now);
+            return 0;
+        }
+        return timestamps[0] + this.windowMs - now;
+    }
+
+    async tryAcquireShared() {
+        const state = await this.loadState();
+        const wait = this.tryAcquire(state.timestamps);
+        if (wait === 0) {
+            await writeFileAtomic(this.stateFile, JSON.stringify({
+                updatedAt: Date.now(),
+                timestamps: state.timestamps
+            }));
+        }
+        return wait;
+    }
+
+    /**
+     * Read the shared request log, dropping stale state and timestamps
+     * from the future (clock changes)
+     */
+    async loadState() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            const now = Date.now();
+            if (now - state.updatedAt > this.cacheTimeout) {
+                return { timestamps: [] };
+            }
+            return { timestamps: state.timestamps.filter(t => t <= now).sort((a, b) => a - b) };
+        } catch (error) {
+            return { timestamps: [] };
+        }
+    }
+
+    /**
+     * Current window usage
+     */
+    async getStatus() {
+        const timestamps = this.shared ? (await this.loadState()).timestamps : this.timestamps;
+        const now = Date.now();
+        const used = timestamps.filter(t => t > now - this.windowMs).length;
+        return {
+            used,
+            remaining: Math.max(0, this.maxRequests - used),
+            limit: this.maxRequests,
+            windowMs: this.windowMs,
+            ...this.stats
+        };
+    }
+}
+
+// Show shared limiter status
+async function main() {
+    const limiter = new RateLimiter();
+    const status = await limiter.getStatus();
+
+    console.log('🚦 HEAD-CRAB Rate Limiter');
+    console.log(`   State: ${limiter.stateFile}`);
+    console.log(`   Used: ${status.used}/${status.limit} per ${status.windowMs / 1000}s`);
+    console.log(`   Remaining: ${status.remaining}`);
+}
+
+module.exports = { RateLimiter };
+
+if (require.main === module) {
+    main().catch(console.error);
+}